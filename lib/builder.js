@@ -1,12 +1,14 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {isObj,def,B,F} = core.types;
+const {isObj,def,B,F,S} = core.types;
 
 const Webservice = require('./webservice');
 const MethodCall = require('./methodcall');
+const EventStream = require('./eventstream');
 const Placeholder = require('./placeholder');
 const {defineHTTP} = require('./utils');
+const openapi = require('./openapi');
 const DEFS = require('./defs');
 const {STANDARD_HTTP,OBSERV_DEFS} = DEFS;
 
@@ -26,6 +28,24 @@ function wrapHTTP(target, httpMeth)
   }
 }
 
+// Add a media type handler for decoder() or serializer().
+function addHandler(builder, name, pattern, handler)
+{
+  builder._options[name][pattern] = handler;
+
+  if (builder._extendsInstance)
+  {
+    const wsOpts = builder._extendsInstance._options;
+    if (!isObj(wsOpts[name]))
+    {
+      wsOpts[name] = {};
+    }
+    wsOpts[name][pattern] = handler;
+  }
+
+  return builder;
+}
+
 /**
  * A class to create Webservice instances using a Builder pattern.
  * 
@@ -89,6 +109,19 @@ class WebserviceBuilder
       options.httpMethods = {};
     }
 
+    if (!Array.isArray(options.middleware))
+    { // Add a place to define middleware.
+      options.middleware = [];
+    }
+
+    for (const handlers of ['decoders', 'serializers'])
+    {
+      if (!isObj(options[handlers]))
+      { // Add a place to define media type handlers.
+        options[handlers] = {};
+      }
+    }
+
     if (typeof options.customWrappers === B)
     {
       this._wrapCustom = options.customWrappers;
@@ -191,6 +224,9 @@ class WebserviceBuilder
    * 
    * All method call paths will be prepended by this.
    * 
+   * This may be a fully-qualified URL, such as `https://api.example.com/v2`,
+   * in which case the `baseURL` option is not required.
+   * 
    * `extend`: **NO**
    * 
    * @param {string} basePath - Base path.
@@ -202,6 +238,24 @@ class WebserviceBuilder
     return this;
   }
 
+  /**
+   * Set the base URL used to resolve request paths.
+   * 
+   * Required in environments without a global `location` (such as
+   * Node.js), unless the `basePath` is a fully-qualified URL.
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {(string|URL)} url - See
+   * {@link module:@lumjs/web-service/methodcall#baseURL} for details.
+   * 
+   * @returns {object} `this`
+   */
+  baseURL(url)
+  {
+    return this.set('baseURL', url);
+  }
+
   /**
    * Set the `contentType` option (sets `Content-Type` request header).
    * 
@@ -237,6 +291,185 @@ class WebserviceBuilder
     return this;
   }
 
+  /**
+   * Add a Webservice-level middleware function.
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {module:@lumjs/web-service/methodcall~Middleware} fn 
+   * 
+   * MethodCall-level middleware may be specified using the `middleware`
+   * option when adding a method call; it will always be run after the
+   * Webservice-level middleware.
+   * 
+   * @returns {object} `this`
+   * @throws {TypeError} If `fn` is not a function.
+   */
+  use(fn)
+  {
+    if (typeof fn !== F)
+    {
+      throw new TypeError("Middleware must be a function");
+    }
+
+    if (this._extendsInstance)
+    {
+      this._extendsInstance._use(fn);
+    }
+    else
+    {
+      this._options.middleware.push(fn);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a Webservice-level response decoder.
+   * 
+   * Decoders are tried in the order they were added, after any set in
+   * the `decoders` option of a MethodCall, and before the built-in
+   * {@link module:@lumjs/web-service/methodcall.DECODERS DECODERS}.
+   * 
+   * ```js
+   * builder.decoder('text/csv', async (res, mediaType, mc) => 
+   *   parseCSV(await mc.readText(res)));
+   * ```
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {string} pattern - Media type pattern to match;
+   * see {@link module:@lumjs/web-service/utils.matchMediaType}.
+   * 
+   * @param {?module:@lumjs/web-service/methodcall~Decoder} decoder
+   * 
+   * If this is `null`, responses with a matching media type will not
+   * be decoded at all (unless a MethodCall has its own decoder for it).
+   * 
+   * @returns {object} `this`
+   * @throws {TypeError} If `decoder` is not a function or `null`.
+   */
+  decoder(pattern, decoder)
+  {
+    if (decoder !== null && typeof decoder !== F)
+    {
+      throw new TypeError("Decoder must be a function or null");
+    }
+    return addHandler(this, 'decoders', pattern, decoder);
+  }
+
+  /**
+   * Add a Webservice-level request body serializer.
+   * 
+   * Serializers are tried in the order they were added, after any set in
+   * the `serializers` option of a MethodCall, and before the built-in
+   * {@link module:@lumjs/web-service/methodcall.SERIALIZERS SERIALIZERS}.
+   * 
+   * ```js
+   * builder.serializer('text/csv', (rows) =>
+   *   rows.map(row => row.join(',')).join('\n'));
+   * ```
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {string} pattern - Media type pattern to match;
+   * see {@link module:@lumjs/web-service/utils.matchMediaType}.
+   * 
+   * @param {?module:@lumjs/web-service/methodcall~Serializer} serializer
+   * 
+   * If this is `null`, request bodies with a matching media type will not
+   * be serialized at all (unless a MethodCall has its own serializer).
+   * 
+   * @returns {object} `this`
+   * @throws {TypeError} If `serializer` is not a function or `null`.
+   */
+  serializer(pattern, serializer)
+  {
+    if (serializer !== null && typeof serializer !== F)
+    {
+      throw new TypeError("Serializer must be a function or null");
+    }
+    return addHandler(this, 'serializers', pattern, serializer);
+  }
+
+  /**
+   * Use a custom `fetch()` compatible function.
+   * 
+   * Sets the `fetch` option, which is used by the default transport.
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {function} fetchFn - Function to use instead of global `fetch()`.
+   * @returns {object} `this`
+   * @throws {TypeError} If `fetchFn` is not a function.
+   */
+  useFetch(fetchFn)
+  {
+    if (typeof fetchFn !== F)
+    {
+      throw new TypeError("Invalid fetch function");
+    }
+    return this.set('fetch', fetchFn);
+  }
+
+  /**
+   * Use a custom transport adapter.
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {module:@lumjs/web-service/transport~Transport} transport
+   * @returns {object} `this`
+   * @throws {TypeError} If `transport` does not have a `send()` method.
+   * @see {@link module:@lumjs/web-service/transport}
+   */
+  useTransport(transport)
+  {
+    if (!isObj(transport) || typeof transport.send !== F)
+    {
+      console.error({transport});
+      throw new TypeError("Invalid transport adapter");
+    }
+    return this.set('transport', transport);
+  }
+
+  /**
+   * Set the `timeout` option.
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {number} ms - See
+   * {@link module:@lumjs/web-service/methodcall#timeout} for details.
+   * 
+   * @returns {object} `this`
+   */
+  timeout(ms)
+  {
+    return this.set('timeout', ms);
+  }
+
+  /**
+   * Enable the response cache.
+   * 
+   * `extend`: **LIMITED**
+   * 
+   * The options will be updated, but an existing default `MemoryCache`
+   * in the Webservice will continue to be used if no `adapter` is passed.
+   * 
+   * @param {?module:@lumjs/web-service/cache~Adapter} [adapter] Storage.
+   * 
+   * If omitted or `null` the default `MemoryCache` will be used.
+   * 
+   * @param {object} [options] Further `cache` nested options;
+   * see {@link module:@lumjs/web-service/defs.CACHE_DEFS} for details.
+   * 
+   * @returns {object} `this`
+   */
+  useCache(adapter=null, options={})
+  {
+    const cacheOpts = Object.assign({}, options, {enabled: true, adapter});
+    return this.set('cache', cacheOpts);
+  }
+
   /**
    * Add a custom HTTP Method type definition.
    * 
@@ -321,6 +554,28 @@ class WebserviceBuilder
     return this;
   }
 
+  /**
+   * Add a Server-Sent Events method call.
+   * 
+   * The `send()` method of the new method call will open a connection
+   * to the event stream rather than waiting for a single response.
+   * 
+   * `extend`: **YES**
+   * 
+   * @param {string} name - Unique name/identifier of the method call.
+   * @param {string} urlPath - URL Path for the event stream.
+   * @param {object} [options] Advanced options.
+   * 
+   * @returns {object} `this`
+   * @see {@link module:@lumjs/web-service/eventstream}
+   */
+  stream(name, urlPath, options)
+  {
+    const mc = new EventStream(name, urlPath, 'GET', options);
+    this._methods.push(mc);
+    return this;
+  }
+
   /**
    * Set a web-service option.
    * 
@@ -417,6 +672,40 @@ class WebserviceBuilder
     return ws;
   }
 
+  /**
+   * Create a Builder with method calls for every operation
+   * in an OpenAPI 3.x document.
+   * 
+   * - Each operation will be added using its `operationId` as the name.
+   *   Operations without an `operationId` will have a name generated
+   *   from the HTTP method and path (e.g. `getDocsByDocId`).
+   * - The URL from `servers` will be used as the base path.
+   * - The `BRACES` placeholder rule will be used (as OpenAPI uses it).
+   * - The request body media type will be used as the `contentType`,
+   *   and the media type of the first successful (2xx) response with
+   *   content will be used as the `acceptType`. If there are multiple
+   *   media types, `application/json` is preferred if present.
+   * - Any `trace` operations are skipped, as `fetch()` can't send them;
+   *   use the `onSkip` option to find out about them.
+   * 
+   * @param {object} spec - The OpenAPI document (as a JSON object).
+   * @param {object} [options] Options for importing.
+   * 
+   * See {@link module:@lumjs/web-service/openapi.importSpec} for the
+   * supported options.
+   * 
+   * @param {object} [options.builder] Options for `new Builder()`.
+   * 
+   * @returns {module:@lumjs/web-service/builder} A new Builder instance.
+   * 
+   * You can add further definitions to it, then call `build()` as usual.
+   */
+  static fromOpenAPI(spec, options={})
+  {
+    const builder = new this(options.builder);
+    return openapi.importSpec(builder, spec, options);
+  }
+
   /**
    * An instance getter for the default definitions.
    * @returns {module:@lumjs/web-service/defs}
@@ -0,0 +1,483 @@
+/**
+ * Response caching
+ * @module @lumjs/web-service/cache
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,isObj} = core.types;
+
+const CC  = 'Cache-Control';
+const ET  = 'ETag';
+const LM  = 'Last-Modified';
+const EXP = 'Expires';
+const VARY = 'Vary';
+const INM = 'If-None-Match';
+const IMS = 'If-Modified-Since';
+
+const NULL_BODY = [101, 204, 205, 304];
+const PARTIAL_CONTENT = 206;
+
+/**
+ * Supported cache modes.
+ * 
+ * - `default`     → Use fresh entries; revalidate stale ones if possible.
+ * - `no-store`    → Bypass the cache entirely.
+ * - `reload`      → Always fetch from the network, but update the cache.
+ * - `force-cache` → Use any cached entry (fresh or stale) if one exists.
+ * 
+ * @alias module:@lumjs/web-service/cache.MODES
+ * @type {string[]}
+ */
+const MODES = ['default', 'no-store', 'reload', 'force-cache'];
+
+/**
+ * Parse a `Cache-Control` header.
+ * 
+ * @alias module:@lumjs/web-service/cache.parseCacheControl
+ * 
+ * @param {?string} value - Header value.
+ * 
+ * @returns {object} Each directive name (in lowercase) will be a property.
+ * 
+ * Directives with a value (e.g. `max-age=60`) will use that value,
+ * with numeric values converted to numbers. Directives without a value
+ * (e.g. `no-store`) will be `true`.
+ */
+function parseCacheControl(value)
+{
+  const directives = {};
+
+  if (typeof value !== S)
+  {
+    return directives;
+  }
+
+  for (let part of value.split(','))
+  {
+    part = part.trim();
+    if (part === '') continue;
+
+    const eq = part.indexOf('=');
+    if (eq === -1)
+    {
+      directives[part.toLowerCase()] = true;
+    }
+    else
+    {
+      const name = part.substring(0, eq).trim().toLowerCase();
+      let val = part.substring(eq+1).trim().replace(/^"(.*)"$/, '$1');
+      if (/^\d+$/.test(val))
+      {
+        val = parseInt(val);
+      }
+      directives[name] = val;
+    }
+  }
+
+  return directives;
+}
+
+/**
+ * An in-memory cache adapter using a _least recently used_ policy.
+ * 
+ * This is the default adapter used if one is not specified.
+ * 
+ * @alias module:@lumjs/web-service/cache.MemoryCache
+ * @implements {module:@lumjs/web-service/cache~Adapter}
+ */
+class MemoryCache
+{
+  /**
+   * Build a MemoryCache instance.
+   * 
+   * @param {object} [options] Options
+   * @param {number} [options.maxEntries=100] Maximum entries to keep.
+   * 
+   * When this is exceeded, the least recently used entries are removed.
+   */
+  constructor(options={})
+  {
+    this.maxEntries = options.maxEntries ?? 100;
+    this.entries = new Map();
+  }
+
+  get(key)
+  {
+    const entry = this.entries.get(key);
+    if (entry !== undefined)
+    { // Move it to the end of the list.
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry ?? null;
+  }
+
+  set(key, entry)
+  {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries)
+    { // Remove the oldest entry.
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key)
+  {
+    this.entries.delete(key);
+  }
+
+  keys()
+  {
+    return Array.from(this.entries.keys());
+  }
+
+  clear()
+  {
+    this.entries.clear();
+  }
+}
+
+/**
+ * The logic for caching responses; wraps an `Adapter`.
+ * 
+ * Entries are keyed by the HTTP method and the full request URL,
+ * and are only used if the request headers named in the `Vary` header
+ * of the cached response match the current request.
+ * 
+ * @alias module:@lumjs/web-service/cache.ResponseCache
+ * 
+ * @prop {module:@lumjs/web-service/cache~Adapter} adapter
+ * @prop {object} options
+ */
+class ResponseCache
+{
+  /**
+   * Build a ResponseCache instance.
+   * 
+   * @param {module:@lumjs/web-service/cache~Adapter} adapter
+   * @param {object} [options] Options
+   * @param {number} [options.ttl=0] Default lifetime of entries in ms.
+   * 
+   * Only used if the response doesn't specify its own lifetime with a
+   * `Cache-Control: max-age` or `Expires` header. The default of `0`
+   * means such entries will need to be revalidated every time (and will
+   * not be stored at all if they have nothing to revalidate them with).
+   */
+  constructor(adapter, options={})
+  {
+    this.adapter = adapter;
+    this.options = options;
+  }
+
+  /**
+   * Get the cache key for a request.
+   * @param {Request} request
+   * @returns {string}
+   */
+  key(request)
+  {
+    return request.method+' '+request.url;
+  }
+
+  /**
+   * Fetch a response using the cache where possible.
+   * 
+   * @param {Request} request - The request to send.
+   * @param {string} mode - One of the `MODES`.
+   * @param {function} fetcher - Function to fetch from the network.
+   * 
+   * Will be passed a `Request` and must return a `Promise<Response>`.
+   * 
+   * @returns {Promise<Response>}
+   */
+  async fetch(request, mode, fetcher)
+  {
+    if (mode === 'no-store' || request.headers.has(INM) || request.headers.has(IMS))
+    { // Not using the cache, or the caller is doing their own revalidation.
+      return fetcher(request);
+    }
+
+    const key = this.key(request);
+    let entry = null;
+
+    if (mode !== 'reload')
+    {
+      entry = await this.adapter.get(key);
+      if (entry && !this.varyMatches(entry, request))
+      {
+        entry = null;
+      }
+    }
+
+    if (entry)
+    {
+      if (mode === 'force-cache' || this.isFresh(entry))
+      {
+        return this.toResponse(entry);
+      }
+
+      if (entry.etag || entry.lastModified)
+      { // Stale, but we can revalidate it.
+        const headers = new Headers(request.headers);
+        if (entry.etag)
+        {
+          headers.set(INM, entry.etag);
+        }
+        if (entry.lastModified)
+        {
+          headers.set(IMS, entry.lastModified);
+        }
+        request = new Request(request, {headers});
+      }
+    }
+
+    const response = await fetcher(request);
+
+    if (entry && response.status === 304)
+    { // Not modified, refresh the entry and use it.
+      this.refresh(entry, response.headers);
+      await this.adapter.set(key, entry);
+      return this.toResponse(entry);
+    }
+
+    if (response.ok && response.status !== PARTIAL_CONTENT)
+    { // Failing to cache the response doesn't affect the request itself.
+      this.store(key, request, response).catch(() => {});
+    }
+
+    return response;
+  }
+
+  /**
+   * Store a response in the cache (if it is allowed).
+   * 
+   * The body is read from a clone of the response, so the response
+   * itself can still be read (or streamed) as soon as this is called.
+   * The entry is saved once the full body has been read.
+   * 
+   * Entries which could never be reused (already stale, and without an
+   * `ETag` or `Last-Modified` header to revalidate them) are not stored.
+   * 
+   * @param {string} key - Cache key.
+   * @param {Request} request - The request that was sent.
+   * @param {Response} response - The response to store.
+   * 
+   * This must not have been read yet.
+   * 
+   * @returns {Promise} Resolves once the entry has been saved
+   * (or any existing entry has been removed if it couldn't be).
+   */
+  store(key, request, response)
+  {
+    const reqCC = parseCacheControl(request.headers.get(CC));
+    const resCC = parseCacheControl(response.headers.get(CC));
+    const vary = response.headers.get(VARY);
+
+    if (reqCC['no-store'] || resCC['no-store'] || (vary && vary.trim() === '*'))
+    { // Not allowed to be cached.
+      return Promise.resolve(this.adapter.delete(key));
+    }
+
+    const varyHeaders = {};
+    if (vary)
+    {
+      for (let name of vary.split(','))
+      {
+        name = name.trim().toLowerCase();
+        if (name !== '')
+        {
+          varyHeaders[name] = request.headers.get(name);
+        }
+      }
+    }
+
+    const entry =
+    {
+      url:        request.url,
+      method:     request.method,
+      status:     response.status,
+      statusText: response.statusText,
+      headers:    Array.from(response.headers.entries()),
+      vary:       varyHeaders,
+    }
+
+    this.refresh(entry, response.headers);
+
+    if (!this.isFresh(entry) && !entry.etag && !entry.lastModified)
+    { // Not worth keeping.
+      return Promise.resolve(this.adapter.delete(key));
+    }
+
+    // Clone it now, before anything else can read the body.
+    return response.clone().arrayBuffer().then(body =>
+    {
+      entry.body = body;
+      return this.adapter.set(key, entry);
+    });
+  }
+
+  /**
+   * Update the freshness information of an entry.
+   * 
+   * @param {object} entry - The cache entry to update.
+   * @param {Headers} headers - Headers from the latest response.
+   */
+  refresh(entry, headers)
+  {
+    const now = Date.now();
+    const cc = parseCacheControl(headers.get(CC));
+
+    entry.storedAt = now;
+    entry.etag = headers.get(ET) ?? entry.etag ?? null;
+    entry.lastModified = headers.get(LM) ?? entry.lastModified ?? null;
+
+    if (cc['no-cache'])
+    { // Must always be revalidated.
+      entry.expires = now;
+    }
+    else if (typeof cc['max-age'] === 'number')
+    {
+      entry.expires = now + (cc['max-age'] * 1000);
+    }
+    else if (headers.has(EXP))
+    {
+      const expires = Date.parse(headers.get(EXP));
+      entry.expires = isNaN(expires) ? now : expires;
+    }
+    else
+    {
+      entry.expires = now + (this.options.ttl ?? 0);
+    }
+  }
+
+  /**
+   * See if an entry is still fresh.
+   * @param {object} entry
+   * @returns {boolean}
+   */
+  isFresh(entry)
+  {
+    return (entry.expires > Date.now());
+  }
+
+  /**
+   * See if the `Vary` headers of an entry match a request.
+   * @param {object} entry
+   * @param {Request} request
+   * @returns {boolean}
+   */
+  varyMatches(entry, request)
+  {
+    if (!isObj(entry.vary)) return true;
+
+    for (const name in entry.vary)
+    {
+      if (request.headers.get(name) !== entry.vary[name])
+      {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Build a new `Response` from a cache entry.
+   * 
+   * The `url` of the response will be the URL of the original request,
+   * the same as a response from the network.
+   * 
+   * @param {object} entry
+   * @returns {Response}
+   */
+  toResponse(entry)
+  {
+    const body
+      = (NULL_BODY.includes(entry.status) || entry.body.byteLength === 0)
+      ? null
+      : entry.body.slice(0);
+
+    const response = new Response(body,
+    {
+      status:     entry.status,
+      statusText: entry.statusText,
+      headers:    entry.headers,
+    });
+
+    // The constructor can't set it, so shadow the (empty) getter.
+    Object.defineProperty(response, 'url', {value: entry.url});
+
+    return response;
+  }
+
+  /**
+   * Remove all entries for the same path as a URL.
+   * 
+   * Used when a request with an unsafe HTTP method has succeeded,
+   * as the cached data for that path is likely no longer valid.
+   * The query string of the URL is ignored.
+   * 
+   * @param {(string|URL)} url - The URL to invalidate.
+   * @returns {Promise}
+   */
+  async invalidate(url)
+  {
+    url = new URL(url);
+    const keys = await this.adapter.keys();
+
+    for (const key of keys)
+    {
+      const entryUrl = new URL(key.substring(key.indexOf(' ')+1));
+      if (entryUrl.origin === url.origin && entryUrl.pathname === url.pathname)
+      {
+        await this.adapter.delete(key);
+      }
+    }
+  }
+}
+
+module.exports =
+{
+  MODES, MemoryCache, ResponseCache, parseCacheControl,
+}
+
+/**
+ * The interface for cache storage adapters.
+ * 
+ * Every method may return a `Promise` if the storage is asynchronous
+ * (such as IndexedDB or the Cache API).
+ * 
+ * The entries are plain objects. The `body` property is an `ArrayBuffer`
+ * and every other property is a JSON-compatible value.
+ * 
+ * @interface module:@lumjs/web-service/cache~Adapter
+ */
+
+/**
+ * Get an entry.
+ * @function module:@lumjs/web-service/cache~Adapter#get
+ * @param {string} key - Cache key.
+ * @returns {?object} The entry, or `null` if not found.
+ */
+
+/**
+ * Set an entry.
+ * @function module:@lumjs/web-service/cache~Adapter#set
+ * @param {string} key - Cache key.
+ * @param {object} entry - Entry to store.
+ */
+
+/**
+ * Delete an entry.
+ * @function module:@lumjs/web-service/cache~Adapter#delete
+ * @param {string} key - Cache key.
+ */
+
+/**
+ * Get a list of all keys.
+ * @function module:@lumjs/web-service/cache~Adapter#keys
+ * @returns {string[]}
+ */
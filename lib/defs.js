@@ -6,15 +6,34 @@
 
 const core = require('@lumjs/core');
 const Placeholder = require('./placeholder');
+const UriTemplate = require('./uritemplate');
 
 /**
  * Default URL Placeholder styles.
+ * 
+ * When auto-detecting the style used by a path, these are tested
+ * in the order they are defined, so the more specific rules
+ * are always tried first.
+ * 
  * @alias module:@lumjs/web-service/defs.PLACEHOLDERS
+ * @prop {module:@lumjs/web-service/uritemplate} URI_TEMPLATE
+ * /path{/segments*}{?page,limit} (RFC 6570 URI Templates)
+ * @prop {module:@lumjs/web-service/placeholder} TYPED_BRACES
+ * /path/{placeholder}/, /path/{placeholder:type}/, /path/{placeholder*},
+ * /path/{placeholder?}, /path/{placeholder=default}
+ * @prop {module:@lumjs/web-service/placeholder} TYPED_COLONS
+ * /path/:placeholder/, /path/:placeholder(type)/, /path/:placeholder*,
+ * /path/:placeholder?
  * @prop {module:@lumjs/web-service/placeholder} COLONS - /path/:placeholder/
  * @prop {module:@lumjs/web-service/placeholder} BRACES - /path/{placeholder}/
  */
 const PLACEHOLDERS =
 {
+  URI_TEMPLATE: new UriTemplate(),
+  TYPED_BRACES: new Placeholder(/\{([\w-]+)(?::(\w+))?(\*)?(\?)?(?:=([^}]*))?\}/g,
+    {param: 1, type: 2, wildcard: 3, optional: 4, default: 5}),
+  TYPED_COLONS: new Placeholder(/\:([\w-]+)(?:\((\w+)\))?(\*)?(\?)?/g,
+    {param: 1, type: 2, wildcard: 3, optional: 4}),
   COLONS: new Placeholder(/\:([\w-]+)/g),
   BRACES: new Placeholder(/\{([\w-]+)\}/g),
 }
@@ -136,24 +155,30 @@ const TEMPLATE_HTTP =
  * 
  * @prop {string} FORM  - A Multipart `FormData` object.
  * @prop {string} JSON  - JSON data.
+ * @prop {string} NDJSON - Newline delimited JSON (no auto-detection).
+ * @prop {string} PROBLEM - Problem details for HTTP APIs (RFC 9457).
  * @prop {string} XML   - XML document (or element).
  * @prop {string} HTML  - HTML document (or element).
  * @prop {string} XHTML - XHTML document (no auto-detection).
  * @prop {string} TEXT  - Plain text; or any unsupported text format.
  * @prop {string} BIN   - Generic (or unsupported) binary data.
  * @prop {string} URL   - A Query String `URLSearchParams` object.
+ * @prop {string} SSE   - A Server-Sent Events stream (no auto-detection).
  * 
  */
 const MIME =
 {
   FORM: 'multipart/form-data',
   JSON: 'application/json',
+  NDJSON: 'application/x-ndjson',
+  PROBLEM: 'application/problem+json',
   XML:  'application/xml',
   HTML: 'text/html',
   XHTML:'application/xhtml+xml',
   TEXT: 'text/plain',
   BIN:  'application/octet-stream',
   URL:  'application/x-www-form-urlencoded',
+  SSE:  'text/event-stream',
 }
 
 const AUTO_ID_STRIP = /WS$/;
@@ -194,8 +219,121 @@ const OBSERV_DEFS =
   wraplock: false,
 }
 
+/**
+ * Default options for the `retry` nested options.
+ * 
+ * @alias module:@lumjs/web-service/defs.RETRY_DEFS
+ * 
+ * @prop {number} attempts - Maximum number of attempts (including the first).
+ * 
+ * The default is `1`, which means no retries will be made at all.
+ * 
+ * @prop {number} delay    - Base delay in milliseconds.
+ * 
+ * The delay is doubled on each subsequent retry (exponential backoff).
+ * 
+ * @prop {number} maxDelay - Maximum delay in milliseconds.
+ * 
+ * Also limits the delay requested by a `Retry-After` header.
+ * 
+ * @prop {number} jitter   - Random jitter as a fraction of the delay.
+ * 
+ * Must be a number from `0` (no jitter) to `1` (the delay may be
+ * reduced by anywhere up to 100%).
+ * 
+ * @prop {number[]} statuses - HTTP status codes that may be retried.
+ * @prop {boolean} retryAfter - Honour the `Retry-After` response header?
+ * @prop {boolean} networkErrors - Retry if `fetch()` itself fails?
+ * @prop {boolean} force - Retry even if the HTTP method is not idempotent?
+ */
+const RETRY_DEFS =
+{
+  attempts:      1,
+  delay:         250,
+  maxDelay:      30000,
+  jitter:        0.5,
+  statuses:      [429, 502, 503, 504],
+  retryAfter:    true,
+  networkErrors: true,
+  force:         false,
+}
+
+/**
+ * Default options for the `cache` nested options.
+ * 
+ * @alias module:@lumjs/web-service/defs.CACHE_DEFS
+ * 
+ * @prop {boolean} enabled - Use the response cache?
+ * 
+ * Only methods with `cacheable` HttpRules will read from the cache,
+ * but successful requests using methods that are not `safe` will always
+ * invalidate any cached entries for the same path.
+ * 
+ * @prop {?module:@lumjs/web-service/cache~Adapter} adapter - Cache storage.
+ * 
+ * If `null` a `MemoryCache` will be created and shared by every method
+ * call in the Webservice.
+ * 
+ * @prop {number} maxEntries - Used when creating a `MemoryCache`.
+ * @prop {number} ttl - Default entry lifetime in milliseconds.
+ * @prop {string} mode - Default cache mode; see `cache.MODES`.
+ */
+const CACHE_DEFS =
+{
+  enabled:    false,
+  adapter:    null,
+  maxEntries: 100,
+  ttl:        0,
+  mode:       'default',
+}
+
+/**
+ * Default options for the `stream` nested options.
+ * 
+ * Used by {@link module:@lumjs/web-service/eventstream} method calls.
+ * 
+ * @alias module:@lumjs/web-service/defs.STREAM_DEFS
+ * 
+ * @prop {boolean} reconnect - Reconnect if the connection is lost?
+ * @prop {number} delay - Milliseconds to wait before reconnecting.
+ * 
+ * This is only the initial value; the server may change it by sending
+ * a `retry:` field in the event stream.
+ * 
+ * @prop {number} maxReconnects - Maximum number of consecutive attempts
+ * to reconnect before giving up. The default of `0` means no limit.
+ */
+const STREAM_DEFS =
+{
+  reconnect:     true,
+  delay:         3000,
+  maxReconnects: 0,
+}
+
+/**
+ * Supported values for the `responseType` option.
+ * 
+ * - `auto`        → Decode based on the `Content-Type` of the response,
+ *   using the `autoDecode*` options.
+ * - `json`        → Parse the body as JSON.
+ * - `text`        → Decode the body as a string.
+ * - `blob`        → A `Blob` of the body.
+ * - `arrayBuffer` → An `ArrayBuffer` of the body.
+ * - `file`        → A `File`, named using the `Content-Disposition` header.
+ * - `stream`      → A `ReadableStream` of the body.
+ * - `ndjson`      → An async iterator of records parsed from each line
+ *   of newline delimited JSON (also known as JSON Lines).
+ * 
+ * @alias module:@lumjs/web-service/defs.RESPONSE_TYPES
+ * @type {string[]}
+ */
+const RESPONSE_TYPES =
+  ['auto', 'json', 'text', 'blob', 'arrayBuffer', 'file', 'stream',
+   'ndjson'];
+
 module.exports =
 {
   PLACEHOLDERS, STANDARD_HTTP, TEMPLATE_HTTP, MIME, 
-  AUTO_IDS, AUTO_ID_STRIP, OBSERV_DEFS,
+  AUTO_IDS, AUTO_ID_STRIP, OBSERV_DEFS, RETRY_DEFS,
+  CACHE_DEFS, RESPONSE_TYPES, STREAM_DEFS,
 }
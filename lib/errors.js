@@ -0,0 +1,230 @@
+/**
+ * Error classes
+ * @module @lumjs/web-service/errors
+ */
+"use strict";
+
+/**
+ * An error representing a `Response` with a non-2xx status code.
+ * 
+ * Used by {@link module:@lumjs/web-service/methodcall#send send()}
+ * when the `throwOnHttpError` option is enabled.
+ * 
+ * @alias module:@lumjs/web-service/errors.HttpError
+ * 
+ * @prop {number} status      - The `response.status` value.
+ * @prop {string} statusText  - The `response.statusText` value.
+ * @prop {?string} methodName - The `name` of the originating MethodCall.
+ * @prop {?Request} request   - The `Request` that was sent.
+ * @prop {Response} response  - The `Response` that was received.
+ * 
+ * The body of this will have already been read (if `body` is set),
+ * so if you need to read it yourself use `response.clone()` first.
+ * 
+ * @prop {*} body - The error response body.
+ * 
+ * If the `Content-Type` of the response was supported by one of the
+ * `autoDecode*` options, this will be the decoded data.
+ * Otherwise it will be `null`.
+ */
+class HttpError extends Error
+{
+  /**
+   * Build an HttpError.
+   * 
+   * @param {Response} response - The `Response` object.
+   * @param {object} [info] Further information about the error.
+   * @param {Request} [info.request] The `Request` object.
+   * @param {module:@lumjs/web-service/methodcall} [info.methodCall]
+   * The MethodCall instance that sent the request.
+   * @param {*} [info.body=null] The decoded error response body.
+   */
+  constructor(response, info={})
+  {
+    const mc = info.methodCall;
+    const methodName = mc ? mc.name : null;
+    let msg = `HTTP ${response.status}`;
+    if (response.statusText)
+    {
+      msg += ' '+response.statusText;
+    }
+    if (methodName)
+    {
+      msg += ` in ${methodName}()`;
+    }
+
+    super(msg);
+
+    this.name       = 'HttpError';
+    this.status     = response.status;
+    this.statusText = response.statusText;
+    this.methodName = methodName;
+    this.request    = info.request ?? null;
+    this.response   = response;
+    this.body       = info.body ?? null;
+  }
+}
+
+// Standard members of a problem details object.
+const PROBLEM_MEMBERS = ['type', 'title', 'status', 'detail', 'instance'];
+
+/**
+ * An error representing an RFC 9457 (formerly RFC 7807) problem details
+ * response (`application/problem+json`).
+ * 
+ * Used by {@link module:@lumjs/web-service/methodcall#send send()}
+ * when the `throwOnProblem` option is enabled (which is the default).
+ * 
+ * The `body` property will be the full problem details object.
+ * 
+ * @alias module:@lumjs/web-service/errors.ProblemError
+ * @extends module:@lumjs/web-service/errors.HttpError
+ * 
+ * @prop {string} type - A URI reference identifying the problem type;
+ * will be `about:blank` if the problem didn't specify one.
+ * @prop {?string} title - A short summary of the problem type.
+ * @prop {number} status - The status code from the problem if it was set,
+ * otherwise the `response.status` value.
+ * @prop {?string} detail - An explanation of this occurrence of the problem.
+ * @prop {?string} instance - A URI reference identifying this occurrence.
+ * @prop {object} extensions - Any other members of the problem.
+ */
+class ProblemError extends HttpError
+{
+  /**
+   * Build a ProblemError.
+   * 
+   * @param {Response} response - The `Response` object.
+   * @param {object} info - Further information about the error.
+   * @param {object} info.body - The decoded problem details object.
+   * @param {Request} [info.request] The `Request` object.
+   * @param {module:@lumjs/web-service/methodcall} [info.methodCall]
+   * The MethodCall instance that sent the request.
+   */
+  constructor(response, info)
+  {
+    super(response, info);
+
+    const problem = this.body;
+    const str = (value) => (typeof value === 'string') ? value : null;
+
+    this.name     = 'ProblemError';
+    this.type     = str(problem.type) ?? 'about:blank';
+    this.title    = str(problem.title);
+    this.detail   = str(problem.detail);
+    this.instance = str(problem.instance);
+
+    if (Number.isInteger(problem.status))
+    {
+      this.status = problem.status;
+    }
+
+    this.extensions = {};
+    for (const key in problem)
+    {
+      if (!PROBLEM_MEMBERS.includes(key))
+      {
+        this.extensions[key] = problem[key];
+      }
+    }
+
+    const summary = [this.title, this.detail].filter(val => val).join(': ');
+    if (summary)
+    {
+      this.message = summary + ` (${this.message})`;
+    }
+  }
+}
+
+/**
+ * An error representing a request that took too long.
+ * 
+ * Used by {@link module:@lumjs/web-service/methodcall#send send()}
+ * when the `timeout` option is set and the request did not complete
+ * in the allotted time.
+ * 
+ * @alias module:@lumjs/web-service/errors.TimeoutError
+ * 
+ * @prop {number} timeout     - The timeout that was exceeded (in ms).
+ * @prop {?string} methodName - The `name` of the originating MethodCall.
+ */
+class TimeoutError extends Error
+{
+  /**
+   * Build a TimeoutError.
+   * 
+   * @param {number} timeout - The timeout in milliseconds.
+   * @param {object} [info] Further information about the error.
+   * @param {module:@lumjs/web-service/methodcall} [info.methodCall]
+   * The MethodCall instance that sent the request.
+   */
+  constructor(timeout, info={})
+  {
+    const mc = info.methodCall;
+    const methodName = mc ? mc.name : null;
+    let msg = `Request timed out after ${timeout}ms`;
+    if (methodName)
+    {
+      msg += ` in ${methodName}()`;
+    }
+
+    super(msg);
+
+    this.name       = 'TimeoutError';
+    this.timeout    = timeout;
+    this.methodName = methodName;
+  }
+}
+
+/**
+ * An error representing data that failed schema validation.
+ * 
+ * Used by {@link module:@lumjs/web-service/methodcall#validate validate()}
+ * when one of the `*Schema` options has been set.
+ * 
+ * @alias module:@lumjs/web-service/errors.ValidationError
+ * 
+ * @prop {string} target - What failed validation; one of
+ * `vars`, `query`, `body`, or `response`.
+ * @prop {module:@lumjs/web-service/schema~Failure[]} failures
+ * The validation failures; each has a JSON Pointer `path` and a `message`.
+ * @prop {?string} methodName - The `name` of the originating MethodCall.
+ * @prop {*} data - The data that failed validation.
+ */
+class ValidationError extends Error
+{
+  /**
+   * Build a ValidationError.
+   * 
+   * @param {string} target - What was being validated.
+   * @param {Array} failures - The validation failures.
+   * @param {object} [info] Further information about the error.
+   * @param {module:@lumjs/web-service/methodcall} [info.methodCall]
+   * The MethodCall instance that was validating.
+   * @param {*} [info.data] The data that failed validation.
+   */
+  constructor(target, failures, info={})
+  {
+    const mc = info.methodCall;
+    const methodName = mc ? mc.name : null;
+    let msg = `Invalid ${target}`;
+    if (methodName)
+    {
+      msg += ` in ${methodName}()`;
+    }
+    msg += ': ' + failures.map(f => `${f.path || '/'}: ${f.message}`).join('; ');
+
+    super(msg);
+
+    this.name       = 'ValidationError';
+    this.target     = target;
+    this.failures   = failures;
+    this.methodName = methodName;
+    this.data       = info.data;
+  }
+}
+
+module.exports =
+{
+  HttpError, ProblemError, TimeoutError, ValidationError,
+}
@@ -0,0 +1,635 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,isObj} = core.types;
+
+const MethodCall = require('./methodcall');
+const {MIME,STREAM_DEFS} = require('./defs');
+const {wait,matchMediaType} = require('./utils');
+
+const AT = 'Accept';
+const CT = 'Content-Type';
+const LEI = 'Last-Event-ID';
+const DIGITS = /^\d+$/;
+
+const CONNECTING = 0;
+const OPEN       = 1;
+const CLOSED     = 2;
+
+/**
+ * A parser for the `text/event-stream` wire format.
+ * 
+ * Follows the parsing rules from the HTML Living Standard
+ * (the same ones `EventSource` uses).
+ * 
+ * @alias module:@lumjs/web-service/eventstream.Parser
+ * 
+ * @prop {string} lastEventId - The last event ID seen.
+ * 
+ * This is kept when `reset()` is called, so it may be sent in
+ * the `Last-Event-ID` header when reconnecting.
+ */
+class EventStreamParser
+{
+  /**
+   * Build a parser.
+   * 
+   * @param {function} onEvent - Called for each event dispatched.
+   * 
+   * Will be passed a {@link module:@lumjs/web-service/eventstream~Event}
+   * object (without the `connection` property).
+   * 
+   * @param {function} [onRetry] Called with the number of milliseconds
+   * from any valid `retry:` field.
+   * 
+   * @param {string} [lastEventId=''] Initial `lastEventId` value.
+   */
+  constructor(onEvent, onRetry, lastEventId='')
+  {
+    this.onEvent = onEvent;
+    this.onRetry = onRetry;
+    this.lastEventId = lastEventId;
+    this.reset();
+  }
+
+  /**
+   * Reset the parser for a new stream.
+   * 
+   * Any incomplete line or event from the previous stream is discarded.
+   * 
+   * @returns {object} `this`
+   */
+  reset()
+  {
+    this.buffer  = '';
+    this.data    = '';
+    this.type    = '';
+    this.started = false;
+    return this;
+  }
+
+  /**
+   * Parse a chunk of (already decoded) text from the stream.
+   * 
+   * Lines may be split across chunks in any way, including in the
+   * middle of a `\r\n` line ending.
+   * 
+   * @param {string} text - The text to parse.
+   * @returns {object} `this`
+   */
+  push(text)
+  {
+    if (!this.started && text !== '')
+    { // A byte order mark is only allowed at the very start.
+      this.started = true;
+      if (text.startsWith('\uFEFF'))
+      {
+        text = text.substring(1);
+      }
+    }
+
+    const buffer = this.buffer + text;
+    let start = 0;
+
+    for (let i = 0; i < buffer.length; i++)
+    {
+      const ch = buffer[i];
+      if (ch !== '\r' && ch !== '\n') continue;
+
+      if (ch === '\r')
+      {
+        if (i+1 === buffer.length)
+        { // Wait to see if the next chunk starts with a `\n`.
+          break;
+        }
+        if (buffer[i+1] === '\n')
+        {
+          this.line(buffer.substring(start, i));
+          start = ++i + 1;
+          continue;
+        }
+      }
+
+      this.line(buffer.substring(start, i));
+      start = i + 1;
+    }
+
+    this.buffer = buffer.substring(start);
+    return this;
+  }
+
+  /**
+   * Process a single line.
+   * 
+   * @protected
+   * @param {string} line - The line (without the line ending).
+   */
+  line(line)
+  {
+    if (line === '')
+    {
+      this.dispatch();
+      return;
+    }
+
+    if (line.startsWith(':'))
+    { // A comment.
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    let field = line, value = '';
+
+    if (colon !== -1)
+    {
+      field = line.substring(0, colon);
+      value = line.substring(colon+1);
+      if (value.startsWith(' '))
+      {
+        value = value.substring(1);
+      }
+    }
+
+    switch (field)
+    {
+      case 'event':
+        this.type = value;
+        break;
+      case 'data':
+        this.data += value + '\n';
+        break;
+      case 'id':
+        if (!value.includes('\0'))
+        {
+          this.lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (DIGITS.test(value) && typeof this.onRetry === F)
+        {
+          this.onRetry(parseInt(value, 10));
+        }
+        break;
+      // Any other field is ignored.
+    }
+  }
+
+  /**
+   * Dispatch the event that has been buffered (if any).
+   * 
+   * @protected
+   */
+  dispatch()
+  {
+    if (this.data === '')
+    {
+      this.type = '';
+      return;
+    }
+
+    const event =
+    {
+      type: this.type || 'message',
+      data: this.data.substring(0, this.data.length-1),
+      lastEventId: this.lastEventId,
+    }
+
+    this.data = '';
+    this.type = '';
+
+    this.onEvent(event);
+  }
+}
+
+/**
+ * A connection to an event stream.
+ * 
+ * Returned by {@link module:@lumjs/web-service/eventstream#send send()};
+ * you should never need to construct one manually.
+ * 
+ * @alias module:@lumjs/web-service/eventstream.Connection
+ * 
+ * @prop {module:@lumjs/web-service/eventstream} methodCall - The sender.
+ * @prop {number} readyState - One of the state constants:
+ * `CONNECTING` (`0`), `OPEN` (`1`), or `CLOSED` (`2`).
+ * @prop {number} retry - Milliseconds to wait before reconnecting.
+ * @prop {Promise} opened - Resolves to `this` once the connection is
+ * first opened. Rejects if the connection is closed before that.
+ * @prop {Promise} closed - Resolves once the connection is closed.
+ */
+class EventStreamConnection
+{
+  /**
+   * Build a connection and start connecting.
+   * 
+   * @param {module:@lumjs/web-service/eventstream} methodCall
+   * @param {object} options - Options for `makeRequest()`.
+   * @param {object} [sendOptions] Options from `send()`.
+   */
+  constructor(methodCall, options, sendOptions={})
+  {
+    const streamOpts = methodCall.streamOpts;
+
+    this.methodCall = methodCall;
+    this.options    = options;
+    this.streamOpts = streamOpts;
+    this.readyState = CONNECTING;
+    this.retry      = streamOpts.delay;
+
+    this.parser = new EventStreamParser(
+      (event) => this.dispatch(event),
+      (ms) => this.retry = ms,
+      sendOptions.lastEventId);
+
+    this.controller = methodCall.startAbortable([sendOptions.signal]);
+
+    this.opened = new Promise((resolve, reject) =>
+    {
+      this._opened = {resolve, reject};
+    });
+
+    this.closed = this.run();
+  }
+
+  /**
+   * The ID of the last event received.
+   * 
+   * Sent in the `Last-Event-ID` header when reconnecting.
+   * 
+   * @type {string}
+   */
+  get lastEventId()
+  {
+    return this.parser.lastEventId;
+  }
+
+  /**
+   * Close the connection.
+   * 
+   * It will not be reconnected.
+   * 
+   * @param {*} [reason] The abort reason.
+   * @returns {object} `this`
+   */
+  close(reason)
+  {
+    this.controller.abort(reason);
+    return this;
+  }
+
+  /**
+   * Build the context for a connection attempt.
+   * 
+   * @protected
+   * @returns {module:@lumjs/web-service/methodcall~Context}
+   */
+  makeContext()
+  {
+    const mc = this.methodCall;
+    const options = isObj(this.options)
+      ? Object.assign({}, this.options) // Used variables will be removed.
+      : this.options;
+    let request = mc.makeRequest(options);
+
+    const headers = new Headers(request.headers);
+    headers.set(AT, MIME.SSE);
+    if (this.lastEventId !== '')
+    {
+      headers.set(LEI, this.lastEventId);
+    }
+
+    request = new Request(request, {headers, signal: this.controller.signal});
+
+    return {
+      methodCall: mc,
+      options,
+      sendOptions: {signal: this.controller.signal},
+      controller: this.controller,
+      request,
+    };
+  }
+
+  /**
+   * Connect (and reconnect) until the connection is closed.
+   * 
+   * @protected
+   * @returns {Promise}
+   */
+  async run()
+  {
+    const mc = this.methodCall;
+    const opts = this.streamOpts;
+    const signal = this.controller.signal;
+    let attempt = 0, reason;
+
+    while (!signal.aborted)
+    {
+      let fatal = true;
+      reason = undefined;
+
+      try
+      {
+        const context = this.makeContext();
+
+        fatal = false;
+        const response = await mc.dispatch(context);
+        fatal = true;
+
+        if (!(response instanceof Response))
+        {
+          throw new TypeError("Event streams require a Response");
+        }
+
+        mc.trigger('response', response);
+
+        if (response.status === 204)
+        { // The server wants us to stop.
+          break;
+        }
+
+        if (!response.ok)
+        {
+          throw await mc.makeHttpError(response, context.request);
+        }
+
+        const ctype = response.headers.get(CT);
+        if (!matchMediaType(ctype, MIME.SSE))
+        {
+          throw new TypeError(`Expected ${MIME.SSE} response, got '${ctype}'`);
+        }
+
+        fatal = false;
+        attempt = 0;
+        this.readyState = OPEN;
+        mc.trigger('open', {connection: this, response});
+        this._opened.resolve(this);
+
+        await this.read(response);
+      }
+      catch (err)
+      {
+        if (signal.aborted) break;
+        reason = err;
+        mc.trigger('error', err);
+        if (fatal) break;
+      }
+
+      if (signal.aborted || !opts.reconnect
+        || (opts.maxReconnects > 0 && attempt >= opts.maxReconnects))
+      {
+        break;
+      }
+
+      attempt++;
+      this.readyState = CONNECTING;
+      mc.trigger('reconnect',
+      {
+        connection: this,
+        attempt,
+        delay: this.retry,
+        reason,
+      });
+
+      try
+      {
+        await wait(this.retry, signal);
+      }
+      catch (err)
+      { // Closed while waiting.
+        break;
+      }
+    }
+
+    if (signal.aborted)
+    {
+      reason = signal.reason;
+    }
+
+    this.readyState = CLOSED;
+    mc.endAbortable(this.controller);
+    this._opened.reject(reason ?? new Error("Event stream closed"));
+    mc.trigger('close', {connection: this, reason});
+  }
+
+  /**
+   * Read the events from a response body.
+   * 
+   * @protected
+   * @param {Response} response - The response to read.
+   * @returns {Promise} Resolves when the body has been fully read.
+   */
+  async read(response)
+  {
+    this.parser.reset();
+
+    if (!response.body)
+    {
+      return;
+    }
+
+    const signal = this.controller.signal;
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+
+    // In case the transport doesn't pass the signal on to the body.
+    const onAbort = () => reader.cancel(signal.reason);
+    signal.addEventListener('abort', onAbort, {once: true});
+
+    try
+    {
+      while (true)
+      {
+        const {done, value} = await reader.read();
+        if (done) break;
+        this.parser.push(value);
+      }
+    }
+    finally
+    {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Trigger an event on the MethodCall.
+   * 
+   * @protected
+   * @param {object} event - The event from the parser.
+   */
+  dispatch(event)
+  {
+    event.connection = this;
+    this.methodCall.trigger(event.type, event);
+  }
+}
+
+// Add the state constants to both the class and its instances.
+for (const [name, value] of Object.entries({CONNECTING, OPEN, CLOSED}))
+{
+  EventStreamConnection[name] = value;
+  EventStreamConnection.prototype[name] = value;
+}
+
+/**
+ * A MethodCall for Server-Sent Events (`text/event-stream`) endpoints.
+ * 
+ * Uses the same URL expansion, headers, middleware, and transport as any
+ * other MethodCall, but `send()` opens a long-lived connection rather
+ * than waiting for a single response. As the stream is read using the
+ * Fetch API (rather than `EventSource`), custom headers such as those
+ * used for authentication will work.
+ * 
+ * Every event received is triggered on this MethodCall using the event
+ * type as the event name (`message` if the server didn't specify one).
+ * Avoid using the names of the other events triggered by this class
+ * as event types on the server.
+ * 
+ * ```js
+ * const ws = require('@lumjs/web-service').make()
+ *   .stream('docChanges', '/docs/{docId}/events')
+ *   .build();
+ * 
+ * ws.docChanges.on('message', (ev) => console.log(ev.data));
+ * const conn = await ws.docChanges({docId: 42});
+ * // Later...
+ * conn.close();
+ * ```
+ * 
+ * If the connection is lost it will be reopened automatically (see the
+ * `stream` nested options), using the `retry:` delay sent by the server,
+ * and the `Last-Event-ID` header so the server can resume the stream.
+ * 
+ * @exports module:@lumjs/web-service/eventstream
+ * @extends module:@lumjs/web-service/methodcall
+ */
+class WebserviceEventStream extends MethodCall
+{
+  /**
+   * Getter for `stream` nested options.
+   * 
+   * Uses `STREAM_DEFS` as the defaults.
+   * 
+   * @returns {module:@lumjs/web-service/defs.STREAM_DEFS}
+   */
+  get streamOpts()
+  {
+    return this.getNestedOptions('stream', {defaults: STREAM_DEFS});
+  }
+
+  /**
+   * Send the request directly using the `transport`.
+   * 
+   * The response cache and `retry` options are not used,
+   * as event streams have their own reconnection rules.
+   * 
+   * @param {module:@lumjs/web-service/methodcall~Context} context
+   * @returns {Promise<Response>}
+   */
+  async transmit(context)
+  {
+    return this.transport.send(context.request, this);
+  }
+
+  /**
+   * Open a connection to the event stream.
+   * 
+   * @param {object} [options] Options for `makeRequest()`.
+   * 
+   * @param {object} [sendOptions] Options that control the connection.
+   * 
+   * @param {AbortSignal} [sendOptions.signal] A signal to close
+   * the connection.
+   * 
+   * The connection may also be closed with `connection.close()` or
+   * the `abortAll()` method.
+   * 
+   * @param {string} [sendOptions.lastEventId] Resume the stream from
+   * an event ID saved from a previous connection.
+   * 
+   * @returns {Promise<module:@lumjs/web-service/eventstream.Connection>}
+   * Resolves once the connection has been opened.
+   * 
+   * Rejects if the connection was closed before it could be opened.
+   * Requests that fail with an `HttpError`, or responses with the wrong
+   * `Content-Type`, will never be retried. Network errors will be retried
+   * following the `stream` nested options.
+   * 
+   * @fires module:@lumjs/web-service/eventstream#open
+   * @fires module:@lumjs/web-service/eventstream#message
+   * @fires module:@lumjs/web-service/eventstream#reconnect
+   * @fires module:@lumjs/web-service/eventstream#close
+   * @fires module:@lumjs/web-service/methodcall#response
+   * @fires module:@lumjs/web-service/methodcall#error
+   */
+  send(options, sendOptions={})
+  {
+    const connection = new EventStreamConnection(this, options, sendOptions);
+    return connection.opened;
+  }
+
+  /**
+   * The connection has been opened.
+   * 
+   * @event module:@lumjs/web-service/eventstream#open
+   * @type {object}
+   * 
+   * @prop {module:@lumjs/web-service/eventstream.Connection} connection
+   * @prop {Response} response - The response being read.
+   */
+
+  /**
+   * An event with no type was received.
+   * 
+   * Events with a type set by the server (with an `event:` field)
+   * are triggered using that type as the event name instead.
+   * 
+   * @event module:@lumjs/web-service/eventstream#message
+   * @type {module:@lumjs/web-service/eventstream~Event}
+   */
+
+  /**
+   * The connection was lost and will be reopened.
+   * 
+   * @event module:@lumjs/web-service/eventstream#reconnect
+   * @type {object}
+   * 
+   * @prop {module:@lumjs/web-service/eventstream.Connection} connection
+   * @prop {number} attempt - The reconnection attempt about to be made.
+   * @prop {number} delay - Milliseconds until the attempt will be made.
+   * @prop {?Error} reason - The error that closed the connection.
+   * 
+   * Will be `undefined` if the server simply ended the stream.
+   */
+
+  /**
+   * The connection has been closed and will not be reopened.
+   * 
+   * @event module:@lumjs/web-service/eventstream#close
+   * @type {object}
+   * 
+   * @prop {module:@lumjs/web-service/eventstream.Connection} connection
+   * @prop {*} reason - Why the connection was closed.
+   * 
+   * Will be the abort reason if it was closed manually, the error if
+   * it failed, or `undefined` if the server ended it with a `204` status.
+   */
+}
+
+WebserviceEventStream.Parser = EventStreamParser;
+WebserviceEventStream.Connection = EventStreamConnection;
+
+module.exports = WebserviceEventStream;
+
+/**
+ * An event received from the stream.
+ * 
+ * @typedef {object} module:@lumjs/web-service/eventstream~Event
+ * @prop {string} type - The event type.
+ * @prop {string} data - The event data.
+ * 
+ * Multiple `data:` lines are joined with a `\n` character.
+ * 
+ * @prop {string} lastEventId - The last event ID seen.
+ * @prop {module:@lumjs/web-service/eventstream.Connection} connection
+ */
@@ -22,10 +22,46 @@ module.exports =
    * @see {@link module:@lumjs/web-service/methodcall}
    */
   MethodCall: require('./methodcall'),
+  /**
+   * @see {@link module:@lumjs/web-service/eventstream}
+   */
+  EventStream: require('./eventstream'),
+  /**
+   * @see {@link module:@lumjs/web-service/mock}
+   */
+  MockTransport: require('./mock'),
+  /**
+   * @see {@link module:@lumjs/web-service/openapi}
+   */
+  openapi: require('./openapi'),
   /**
    * @see {@link module:@lumjs/web-service/placeholder}
    */
   Placeholder: require('./placeholder'),
+  /**
+   * @see {@link module:@lumjs/web-service/uritemplate}
+   */
+  UriTemplate: require('./uritemplate'),
+  /**
+   * @see {@link module:@lumjs/web-service/cache}
+   */
+  cache: require('./cache'),
+  /**
+   * @see {@link module:@lumjs/web-service/errors}
+   */
+  errors: require('./errors'),
+  /**
+   * @see {@link module:@lumjs/web-service/query}
+   */
+  query: require('./query'),
+  /**
+   * @see {@link module:@lumjs/web-service/schema}
+   */
+  schema: require('./schema'),
+  /**
+   * @see {@link module:@lumjs/web-service/transport}
+   */
+  transport: require('./transport'),
   /**
    * @see {@link module:@lumjs/web-service/utils}
    */
@@ -1,20 +1,329 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {B,S,isObj,notNil} = core.types;
+const {B,F,S,isObj,notNil} = core.types;
 
 const webcore = require('@lumjs/web-core');
 const parser = webcore.parser;
 
-const {STANDARD_HTTP,PLACEHOLDERS,MIME,OBSERV_DEFS} = require('./defs');
-const {getMimeType} = require('./utils');
+const {STANDARD_HTTP,PLACEHOLDERS,MIME,OBSERV_DEFS,RETRY_DEFS,CACHE_DEFS}
+  = require('./defs');
+const {getMimeType,isInstance,wait,parseRetryAfter,toFormData,
+  parseContentDisposition,parseMediaType,matchMediaType} = require('./utils');
 const Placeholder = require('./placeholder');
+const {HttpError,ProblemError,TimeoutError,ValidationError}
+  = require('./errors');
+const cache = require('./cache');
+const transports = require('./transport');
+const schema = require('./schema');
+const queryString = require('./query');
 
 const CT = 'Content-Type';
 const AT = 'Accept';
+const RA = 'Retry-After';
+const CD = 'Content-Disposition';
+const FORM_BOUNDARY = /;\s*boundary=/i;
 const PATH_SEP = /\/+/g;
+const ABS_URL = /^([a-z][\w+.-]*:\/\/[^\/?#]*)(.*)$/i;
 const ER_DEFS = {overwrite: true}
 
+// Option names for the schemas used by validate().
+const SCHEMA_OPTS =
+{
+  vars:     'varsSchema',
+  query:    'querySchema',
+  body:     'requestSchema',
+  response: 'responseSchema',
+}
+
+// Get a filename from the last segment of a URL path.
+function urlFilename(url)
+{
+  if (!url) return null;
+  const name = new URL(url).pathname.split('/').pop();
+  return name ? decodeURIComponent(name) : null;
+}
+
+// Get the size of the response body if it is known.
+function contentLength(response)
+{
+  const encoding = response.headers.get('Content-Encoding');
+  if (encoding && encoding !== 'identity')
+  { // The length is of the encoded body, not the body we'll be reading.
+    return null;
+  }
+
+  const length = parseInt(response.headers.get('Content-Length'));
+  return isNaN(length) ? null : length;
+}
+
+// Get the charset of a response, defaulting to `utf-8`.
+function getCharset(response)
+{
+  const mediaType = parseMediaType(response.headers.get(CT));
+  return mediaType?.params.charset ?? 'utf-8';
+}
+
+// Media types that are decoded as JSON.
+const JSON_TYPES = [MIME.JSON, '+json'];
+
+// XML media types that `DOMParser` supports directly.
+const DOM_XML_TYPES = ['text/xml', MIME.XML, MIME.XHTML, 'image/svg+xml'];
+
+function decodeJSON(response, mediaType, methodCall)
+{
+  if (methodCall.autoDecodeJSON)
+  {
+    return methodCall.readText(response).then(JSON.parse);
+  }
+}
+
+function decodeXML(response, mediaType, methodCall)
+{
+  if (methodCall.autoDecodeXML)
+  {
+    const opts = methodCall.parseXMLOpts;
+    opts.type = DOM_XML_TYPES.includes(mediaType.essence)
+      ? mediaType.essence
+      : MIME.XML;
+    return methodCall.readText(response)
+      .then(xmlText => parser.parseXML(xmlText, opts));
+  }
+}
+
+function decodeHTML(response, mediaType, methodCall)
+{
+  if (methodCall.autoDecodeHTML)
+  {
+    return methodCall.readText(response)
+      .then(htmlText => parser.parseHTML(htmlText, methodCall.parseHTMLOpts));
+  }
+}
+
+/**
+ * The built-in response decoders.
+ * 
+ * Used by `decodeResponse()` after any decoders set in the options.
+ * Each property name is a media type pattern (see `utils.matchMediaType()`)
+ * and the value is a {@link module:@lumjs/web-service/methodcall~Decoder}.
+ * 
+ * - `application/json` and `+json` → Uses `autoDecodeJSON`.
+ * - `application/x-ndjson`         → Uses `autoDecodeNDJSON`.
+ * - `application/xhtml+xml`        → Uses `autoDecodeXHTML`.
+ * - `application/xml`, `text/xml`, and `+xml` → Uses `autoDecodeXML`.
+ * - `text/html`                    → Uses `autoDecodeHTML`.
+ * - `text/*`                       → Uses `autoDecodeText`.
+ * 
+ * @alias module:@lumjs/web-service/methodcall.DECODERS
+ */
+const DECODERS =
+{
+  [MIME.JSON]: decodeJSON,
+  '+json':     decodeJSON,
+  [MIME.NDJSON](response, mediaType, methodCall, controller)
+  {
+    if (methodCall.autoDecodeNDJSON)
+    {
+      return methodCall.readRecords(response, controller);
+    }
+  },
+  [MIME.XHTML](response, mediaType, methodCall)
+  {
+    const doHTML = methodCall.autoDecodeHTML;
+    const doXML  = methodCall.autoDecodeXML;
+    let doXHTML  = methodCall.autoDecodeXHTML;
+    if (typeof doXHTML !== B)
+    {
+      doXHTML = doHTML;
+    }
+
+    if (!doXHTML || !(doHTML || doXML))
+    { // Don't let the `+xml` decoder handle it either.
+      return response;
+    }
+
+    return doHTML
+      ? decodeHTML(response, mediaType, methodCall)
+      : decodeXML(response, mediaType, methodCall);
+  },
+  [MIME.XML]:  decodeXML,
+  'text/xml':  decodeXML,
+  '+xml':      decodeXML,
+  [MIME.HTML]: decodeHTML,
+  'text/*'(response, mediaType, methodCall)
+  {
+    if (methodCall.autoDecodeText)
+    {
+      return methodCall.readText(response);
+    }
+  },
+}
+
+function serializeJSON(data, methodCall)
+{
+  const jsonOpts = methodCall.jsonStringifyOpts;
+  return JSON.stringify(data, jsonOpts.replacer, jsonOpts.space);
+}
+
+function serializeXML(data)
+{
+  if (typeof globalThis.XMLSerializer !== F)
+  {
+    throw new TypeError("XMLSerializer is not available");
+  }
+  const xmls = new XMLSerializer();
+  return xmls.serializeToString(data);
+}
+
+function serializeHTML(data)
+{
+  if (isInstance(data, 'Document'))
+  {
+    return data.documentElement.outerHTML;
+  }
+  else if (isInstance(data, 'Element'))
+  {
+    return data.outerHTML;
+  }
+  else
+  {
+    throw new TypeError("Invalid HTML Document or Element");
+  }
+}
+
+/**
+ * The built-in request body serializers.
+ * 
+ * Used by `setupBody()` after any serializers set in the options.
+ * Each property name is a media type pattern (see `utils.matchMediaType()`)
+ * and the value is a {@link module:@lumjs/web-service/methodcall~Serializer}.
+ * 
+ * - `application/json` and `+json` → Uses `JSON.stringify()`; for advanced
+ *   options see {@link module:@lumjs/web-service/methodcall#jsonStringifyOpts}
+ * - `text/html` and `application/xhtml+xml` → Uses the `.outerHTML` property;
+ *   works with either `Element` or `Document` objects.
+ * - `application/xml`, `text/xml`, and `+xml` → Uses
+ *   `XMLSerializer#serializeToString()`; requires a DOM implementation
+ *   with `XMLSerializer`.
+ * - `multipart/form-data` → Uses `utils.toFormData()` to build a
+ *   `FormData` instance from the object.
+ * - `application/x-www-form-urlencoded` → Uses `query.serialize()` with
+ *   the `queryFormat` option, so nested objects and arrays are handled
+ *   the same as query data.
+ * 
+ * @alias module:@lumjs/web-service/methodcall.SERIALIZERS
+ */
+const SERIALIZERS =
+{
+  [MIME.JSON]:  serializeJSON,
+  '+json':      serializeJSON,
+  [MIME.HTML]:  serializeHTML,
+  [MIME.XHTML]: serializeHTML,
+  [MIME.XML]:   serializeXML,
+  'text/xml':   serializeXML,
+  '+xml':       serializeXML,
+  [MIME.FORM]:  (data) => toFormData(data),
+  [MIME.URL](data, methodCall)
+  {
+    return isInstance(data, 'URLSearchParams')
+      ? data
+      : queryString.serialize(data, {format: methodCall.queryFormat});
+  },
+}
+
+// Wait for a promise, but stop waiting if the signal is aborted.
+function abortable(promise, signal)
+{
+  if (signal.aborted)
+  {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) =>
+  {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(resolve, reject).finally(() => 
+      signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// See if decoded data is still reading the response body.
+function isStreaming(data)
+{
+  return (isInstance(data, 'ReadableStream')
+    || typeof data?.[Symbol.asyncIterator] === F);
+}
+
+// The generator behind `readRecords()`.
+async function* recordGenerator(methodCall, body, response, controller)
+{
+  const charset = getCharset(response);
+  let decoder;
+  try
+  {
+    decoder = new TextDecoderStream(charset);
+  }
+  catch (err)
+  { // Unsupported charset.
+    decoder = new TextDecoderStream();
+  }
+
+  const reader = body.pipeThrough(decoder).getReader();
+  let buffer = '', line = 0, finished = false;
+
+  try
+  {
+    while (!finished)
+    {
+      const {done, value} = await reader.read();
+      finished = done;
+
+      const lines = (buffer + (done ? '' : value)).split('\n');
+      buffer = done ? '' : lines.pop();
+
+      for (const text of lines)
+      {
+        line++;
+        if (text.trim() === '') continue;
+
+        let record;
+        try
+        {
+          record = JSON.parse(text);
+        }
+        catch (err)
+        {
+          const msg = `Invalid JSON on line ${line}: ${err.message}`;
+          const syntaxErr = new SyntaxError(msg, {cause: err});
+          syntaxErr.line = line;
+          throw syntaxErr;
+        }
+
+        methodCall.validate('response', record);
+        methodCall.trigger('record', {record, line});
+        yield record;
+      }
+    }
+  }
+  catch (err)
+  {
+    methodCall.trigger('error', err);
+    throw err;
+  }
+  finally
+  {
+    if (!finished)
+    { // Stopped early, so we don't need the rest of the body.
+      reader.cancel().catch(() => {});
+    }
+    if (controller)
+    {
+      methodCall.endAbortable(controller);
+    }
+  }
+}
+
 function notObservable()
 {
   console.log("MethodCall is not observable", {instance: this, arguments});
@@ -45,6 +354,9 @@ function notObservable()
  * @prop {?module:@lumjs/web-service/webservice} ws - Parent Webservice.
  * Will be `null` until the `setWS()` method is called.
  * 
+ * @prop {number} dedupeCount - Number of requests that were coalesced
+ * with an identical in-flight request; see the `dedupe` option.
+ * 
  */
 class WebserviceMethodCall
 {
@@ -73,6 +385,16 @@ class WebserviceMethodCall
     this.options = options;
     this.ws = null;
 
+    // Controllers for outstanding requests; see abortAll().
+    this._pending = new Map();
+
+    // Shared promises for in-flight requests; see dedupeKey().
+    this._inflight = new Map();
+    this.dedupeCount = 0;
+
+    // The compiled path template; see compileRoute().
+    this._route = null;
+
     // This will be overwritten by the makeObservable() call.
     this.trigger = notObservable;
   }
@@ -257,28 +579,118 @@ class WebserviceMethodCall
   }
 
   /**
-   * Getter for the full (raw) URL method path.
+   * Getter for the raw URL method path, split into parts.
    * 
    * Takes `this.path` and prepends `this.ws._options.basePath` to it.
    * Then normalizes slashes to ensure `/some//path` becomes `/some/path`.
    * 
+   * If the `basePath` is a fully-qualified URL (such as
+   * `https://api.example.com/v2`) the scheme and host will be split
+   * off into the `origin` property, and only the rest will be normalized.
+   * 
    * This does **NOT** expand placeholder variables.
    * Use `parseURL()` for variable expansion.
    * 
-   * @returns {string} 
+   * @returns {object} A plain object with two properties.
+   * 
+   * - `origin` is the scheme and host from the `basePath`;
+   *   or an empty string if the `basePath` was not fully-qualified.
+   * - `path` is the normalized path.
    */
-  get fullPath()
+  get pathParts()
   {
-    let fullPath = '';
+    let origin = '', basePath = '';
 
     if (this.ws && this.ws._options.basePath)
     { // Start with the base path.
-      fullPath = this.ws._options.basePath;
+      basePath = this.ws._options.basePath;
     }
 
-    fullPath += '/' + this.path;
+    const absolute = ABS_URL.exec(basePath);
+    if (absolute)
+    { // A fully-qualified URL.
+      origin   = absolute[1];
+      basePath = absolute[2];
+    }
+
+    const path = (basePath + '/' + this.path)
+      .replaceAll(PATH_SEP, '/'); // Normalize slashes.
+
+    return {origin, path};
+  }
+
+  /**
+   * Getter for the full (raw) URL method path.
+   * 
+   * This is the `origin` and `path` from `pathParts` joined together.
+   * 
+   * This does **NOT** expand placeholder variables.
+   * Use `parseURL()` for variable expansion.
+   * 
+   * @returns {string} 
+   */
+  get fullPath()
+  {
+    const parts = this.pathParts;
+    return parts.origin + parts.path;
+  }
+
+  /**
+   * Getter for `baseURL` option.
+   * 
+   * Used to resolve request paths that are not fully-qualified URLs,
+   * so only the origin (scheme, host, and port) is really relevant.
+   * 
+   * If not explicitly set, defaults to `location.origin` in environments
+   * that have a global `location` (such as browsers). In any other
+   * environment (such as Node.js) this will default to `null`, and you
+   * must either set this option or use a fully-qualified `basePath`.
+   * 
+   * @returns {?(string|URL)}
+   */
+  get baseURL()
+  {
+    const baseURL = this.getOption('baseURL');
+    if (baseURL)
+    {
+      return baseURL;
+    }
+
+    const origin = globalThis.location?.origin;
+    if (typeof origin === S && origin !== 'null')
+    {
+      return origin;
+    }
+
+    return null;
+  }
 
-    return fullPath.replaceAll(PATH_SEP, '/'); // Normalize slashes.
+  /**
+   * Resolve a path into a `URL` object.
+   * 
+   * @param {string} path - Path to resolve.
+   * 
+   * If this is a fully-qualified URL it will be used as-is,
+   * otherwise it will be resolved using the `baseURL`.
+   * 
+   * @returns {URL}
+   * @throws {Error} If the path needs a `baseURL` and there isn't one.
+   */
+  resolveURL(path)
+  {
+    if (ABS_URL.test(path))
+    {
+      return new URL(path);
+    }
+
+    const baseURL = this.baseURL;
+    if (!baseURL)
+    {
+      console.error({path, methodCall: this});
+      throw new Error("No base URL found; set the baseURL option");
+    }
+
+    return new URL(path, baseURL);
   }
 
   /**
@@ -301,38 +713,24 @@ class WebserviceMethodCall
    * 
    * @throws {Error} If placeholders were found in the URL, but corresponding
    * properties were not found in the `data`.
+   * 
+   * @throws {module:@lumjs/web-service/errors.ValidationError}
+   * If any values did not match the type of their placeholder.
    */
   parseURL(data, removeUsed=false)
   {
-    const rawPath = this.fullPath;
+    const {origin, path: rawPath} = this.pathParts;
     const placeholder = this.getPlaceholders(rawPath);
 
     //console.debug("parseURL", {rawPath, placeholder, data});
 
     if (!placeholder || !isObj(data))
     { // Nothing to process further.
-      return new URL(rawPath, location.origin);
+      return this.resolveURL(origin + rawPath);
     }
 
-    const missing = [];
-    const parsedPath = rawPath.replaceAll(placeholder.pattern, function()
-    {
-      const param = arguments[placeholder.param];
-      if (data[param] !== undefined)
-      {
-        const value = data[param];
-        if (removeUsed) 
-        {
-          delete data[param];
-        }
-        return value;
-      }
-      else
-      {
-        missing.push(param);
-        return '';
-      }
-    });
+    const {path: parsedPath, missing, invalid}
+      = placeholder.expand(rawPath, data, removeUsed);
 
     if (missing.length > 0)
     {
@@ -340,7 +738,17 @@ class WebserviceMethodCall
       throw new Error("Missing URL parameters");
     }
 
-    return new URL(parsedPath, location.origin);
+    if (invalid.length > 0)
+    {
+      const failures = invalid.map(item => (
+      {
+        path: '/'+schema.escapePointer(item.name),
+        message: `Must be of type ${item.type}`,
+      }));
+      throw new ValidationError('vars', failures, {methodCall: this, data});
+    }
+
+    return this.resolveURL(origin + parsedPath);
   }
 
   /**
@@ -385,7 +793,7 @@ class WebserviceMethodCall
    * @param {string} [path] A path to test.
    * 
    * Only used if no explicit `placeholders` rule was set.
-   * If this is not specified, we'll use `this.fullPath`.
+   * If this is not specified, we'll use `this.pathParts.path`.
    * 
    * @returns {?module:@lumjs/web-service/placeholder}
    */
@@ -400,15 +808,14 @@ class WebserviceMethodCall
     // Wasn't explicitly specified, so lets see if we can find it.
 
     if (typeof path !== S)
-    { // Get the full path and use it.
-      path = this.fullPath;
+    { // Get the full path (minus any origin) and use it.
+      path = this.pathParts.path;
     }
 
     for (const pid in PLACEHOLDERS)
     {
       const placeholder = PLACEHOLDERS[pid];
-      const matches = path.match(placeholder.pattern);
-      if (Array.isArray(matches) && matches.length > 0)
+      if (placeholder.test(path))
       { // A match was found.
         return placeholder;
       }
@@ -418,6 +825,64 @@ class WebserviceMethodCall
     return null;
   }
 
+  /**
+   * Compile the full path into a route for matching paths.
+   * 
+   * The compiled route is cached, and will only be compiled again
+   * if the full path changes (e.g. if the `basePath` was changed).
+   * 
+   * @returns {object} A plain object with four properties.
+   * 
+   * - `origin` and `path` are the same as from `pathParts`.
+   * - `placeholder` is the placeholder rule (may be `null`).
+   * - `route` is the compiled route, or `null` if there is no
+   *   placeholder rule (in which case only the exact `path` matches).
+   * 
+   * @see {@link module:@lumjs/web-service/placeholder#compile}
+   */
+  compileRoute()
+  {
+    const {origin, path} = this.pathParts;
+
+    if (this._route
+      && this._route.origin === origin
+      && this._route.path === path)
+    { // Already compiled.
+      return this._route;
+    }
+
+    const placeholder = this.getPlaceholders(path);
+    const route = placeholder ? placeholder.compile(path) : null;
+
+    this._route = {origin, path, placeholder, route};
+    return this._route;
+  }
+
+  /**
+   * Match a URL path against the path template of this method call.
+   * 
+   * This is essentially the inverse of `parseURL()`.
+   * 
+   * @param {string} path - The URL path to match (e.g. `url.pathname`).
+   * 
+   * @returns {?object} The placeholder variables extracted from the path
+   * (an empty object if the path has no placeholders); or `null` if the
+   * path did not match.
+   * 
+   * @see {@link module:@lumjs/web-service/placeholder#match}
+   */
+  matchPath(path)
+  {
+    const compiled = this.compileRoute();
+
+    if (!compiled.route)
+    {
+      return (path === compiled.path) ? {} : null;
+    }
+
+    return compiled.placeholder.match(compiled.route, path);
+  }
+
   /**
    * Nested options for serializing data to JSON.
    * 
@@ -463,6 +928,7 @@ class WebserviceMethodCall
    * Getter for `autoDecodeJSON` option.
    * 
    * Determines if `send()` method will decode JSON response data
+   * (`application/json` or any media type with a `+json` suffix)
    * automatically or not.
    * 
    * If not explicitly set, defaults to `true`.
@@ -474,11 +940,28 @@ class WebserviceMethodCall
     return this.getOption('autoDecodeJSON', true);
   }
 
+  /**
+   * Getter for `autoDecodeNDJSON` option.
+   * 
+   * Determines if `send()` method will decode newline delimited JSON
+   * response data automatically or not. If it does, the data will be
+   * an async iterator of records; see `readRecords()` for details.
+   * 
+   * If not explicitly set, defaults to `true`.
+   * 
+   * @returns {boolean}
+   */
+  get autoDecodeNDJSON()
+  {
+    return this.getOption('autoDecodeNDJSON', true);
+  }
+
   /**
    * Getter for `autoDecodeXML` option.
    * 
    * Determines if `send()` method will decode XML response data
-   * automatically or not.
+   * (`application/xml`, `text/xml`, or any media type with a `+xml` suffix
+   * other than XHTML) automatically or not.
    * 
    * If not explicitly set, defaults to `false`.
    * 
@@ -526,6 +1009,42 @@ class WebserviceMethodCall
     return this.getOption('autoDecodeXHTML', null);
   }
 
+  /**
+   * Getter for `autoDecodeText` option.
+   * 
+   * Determines if `send()` method will decode any `text/*` response data
+   * (that wasn't decoded by one of the other `autoDecode*` options)
+   * into a string automatically or not.
+   * 
+   * If not explicitly set, defaults to `true`.
+   * 
+   * @returns {boolean}
+   */
+  get autoDecodeText()
+  {
+    return this.getOption('autoDecodeText', true);
+  }
+
+  /**
+   * Getter for `responseType` option.
+   * 
+   * Determines how `send()` will decode successful responses;
+   * must be one of the `DEFS.RESPONSE_TYPES`.
+   * 
+   * Responses with a non-2xx status code are always decoded as if
+   * this was set to `auto`, as error responses often use a different
+   * format than successful ones.
+   * 
+   * If not explicitly set, defaults to `auto`.
+   * 
+   * @returns {string}
+   * @see {@link module:@lumjs/web-service/defs.RESPONSE_TYPES}
+   */
+  get responseType()
+  {
+    return this.getOption('responseType', 'auto');
+  }
+
   get parseXMLOpts()
   {
     return this.getNestedOptions('parseXMLOpts');
@@ -537,31 +1056,89 @@ class WebserviceMethodCall
   }
 
   /**
-   * Set up body data and headers.
-   * 
-   * @param {?(string|object)} [data] Data for request body.
-   * 
-   * If this is a `string` it is always used _as-is_.
+   * Compose a list of media type handlers.
    * 
-   * If this is an `object`, then depending on the `Content-Type`
-   * (either explicitly set in the headers, or detected with `getMimeType()`)
-   * the data may need to be serialized.
-   * 
-   * The following `Content-Type` formats will attempt to serialize objects:
+   * Used by the `decoders` and `serializers` getters.
    * 
-   * - `MIME.JSON`  → Uses `JSON.stringify()`; for advanced options see:
-   *   {@link module:@lumjs/web-service/methodcall#jsonStringifyOpts}
-   * - `MIME.XML`   → Uses `XMLSerializer#serializeToString()`;
-   * - `MIME.HTML`  → Uses `.outerHTML` property;
-   *   Works with either `Element` or `Document` objects.
-   * - `MIME.XHTML` → Same as `MIME.HTML`;
-   * 
-   * Any of those `Content-Type` serialization attempts will throw various
-   * errors if the data is not valid.
-   * 
-   * With any other `Content-Type` values, the object will be used _as-is_,
-   * so make sure it is something that the `fetch()` API supports
-   * (such as `Blob`, `File`, `FormData`, etc.)
+   * @protected
+   * @param {string} name - The option name.
+   * @param {object} defaults - The built-in handlers.
+   * @returns {Array} A list of `[pattern, handler]` pairs; the handlers
+   * from our own options first, then the Webservice, then the `defaults`.
+   */
+  composeHandlers(name, defaults)
+  {
+    const list = [];
+    const add = (handlers) =>
+    {
+      if (isObj(handlers))
+      {
+        list.push(...Object.entries(handlers));
+      }
+    }
+
+    add(this.options[name]);
+    if (this.ws)
+    {
+      add(this.ws._options[name]);
+    }
+    add(defaults);
+
+    return list;
+  }
+
+  /**
+   * Getter for the request body serializers.
+   * 
+   * Composed of the `serializers` option of this MethodCall, followed by
+   * the `serializers` option of the Webservice, and finally the built-in
+   * {@link module:@lumjs/web-service/methodcall.SERIALIZERS SERIALIZERS}.
+   * 
+   * These options work the same way as the `decoders` options, with the
+   * values being serializer functions, or `null` to disable serialization
+   * for matching media types.
+   * 
+   * @returns {Array} A list of `[pattern, serializer]` pairs in the order
+   * they will be tried by `setupBody()`.
+   * 
+   * See {@link module:@lumjs/web-service/methodcall~Serializer} for details
+   * on how the serializer functions work.
+   */
+  get serializers()
+  {
+    return this.composeHandlers('serializers', SERIALIZERS);
+  }
+
+  /**
+   * Set up body data and headers.
+   * 
+   * @param {?(string|object)} [data] Data for request body.
+   * 
+   * If this is a `string` it is always used _as-is_.
+   * 
+   * If this is an `object`, then depending on the `Content-Type`
+   * (either explicitly set in the headers, or detected with `getMimeType()`)
+   * the data may need to be serialized.
+   * 
+   * Each of the `serializers` with a pattern matching the `Content-Type`
+   * will be tried in order, until one of them returns something other
+   * than `undefined`. As the `Content-Type` is detected before looking for
+   * a serializer, a serializer for a type that `getMimeType()` returns
+   * (such as `MIME.JSON`) will be used for detected data too.
+   * See {@link module:@lumjs/web-service/methodcall.SERIALIZERS SERIALIZERS}
+   * for the built-in serializers.
+   * 
+   * If the data is a `FormData` instance (including one converted from
+   * an object), any `Content-Type` header without a `boundary` parameter
+   * will be removed, so that `fetch()` can set one with the boundary
+   * it generates for the multipart body.
+   * 
+   * Any of the serializers may throw various errors if the data is
+   * not valid for the `Content-Type`.
+   * 
+   * If no serializer was used, the object will be used _as-is_,
+   * so make sure it is something that the `fetch()` API supports
+   * (such as `Blob`, `File`, `FormData`, etc.)
    * 
    * @param {?object} [headers] Headers for request.
    * 
@@ -596,38 +1173,94 @@ class WebserviceMethodCall
       }
     }
 
-    if (isObj(data))
+    const mediaType = parseMediaType(contentType);
+    if (isObj(data) && mediaType)
     { // Some object data types must be serialized into strings first.
-      if (contentType === MIME.JSON)
-      {
-        const jsonOpts = this.jsonStringifyOpts;
-        data = JSON.stringify(data, jsonOpts.replacer, jsonOpts.space);
-      }
-      else if (contentType === MIME.XML)
-      {
-        const xmls = new XMLSerializer();
-        data = xmls.serializeToString(data);
-      }
-      else if (contentType === MIME.HTML || contentType === MIME.XHTML)
+      for (const [pattern, serializer] of this.serializers)
       {
-        if (data instanceof Document)
-        {
-          data = document.documentElement.outerHTML;
-        }
-        else if (data instanceof Element)
-        {
-          data = data.outerHTML;
+        if (!matchMediaType(mediaType, pattern)) continue;
+
+        if (typeof serializer !== F)
+        { // Serialization has been disabled for this pattern.
+          break;
         }
-        else
+
+        const body = serializer(data, this, mediaType);
+        if (body !== undefined)
         {
-          throw new TypeError("Invalid HTML Document or Element");
+          data = body;
+          break;
         }
       }
     }
 
+    if (isInstance(data, 'FormData')
+      && !FORM_BOUNDARY.test(headers.get(CT) ?? ''))
+    { // Let fetch() set the Content-Type with the multipart boundary.
+      headers.delete(CT);
+    }
+
     return {data, headers};
   }
 
+  /**
+   * Getter for the names of the placeholder variables in the path.
+   * @returns {string[]}
+   */
+  get placeholderNames()
+  {
+    const path = this.pathParts.path;
+    const placeholder = this.getPlaceholders(path);
+    return placeholder ? placeholder.compile(path).params : [];
+  }
+
+  /**
+   * Validate data against one of the schema options.
+   * 
+   * The schema options are:
+   * 
+   * - `varsSchema`     → URL placeholder variables.
+   * - `querySchema`    → Query string data.
+   * - `requestSchema`  → Request body data (before serialization).
+   * - `responseSchema` → Decoded JSON response data.
+   * 
+   * If the relevant schema option is not set, nothing is validated.
+   * 
+   * The built-in validator from the `schema` module will be used,
+   * unless the `validator` option has been set to a different function.
+   * 
+   * @param {string} target - One of `vars`, `query`, `body`, or `response`.
+   * @param {*} data - The data to validate.
+   * 
+   * @returns {object} `this`
+   * @throws {module:@lumjs/web-service/errors.ValidationError}
+   * If the data failed validation.
+   * 
+   * @see {@link module:@lumjs/web-service/schema}
+   */
+  validate(target, data)
+  {
+    const dataSchema = this.getOption(SCHEMA_OPTS[target]);
+    if (!notNil(dataSchema))
+    {
+      return this;
+    }
+
+    const validator = this.getOption('validator', schema.validate);
+    if (typeof validator !== F)
+    {
+      throw new TypeError("Invalid validator option");
+    }
+
+    const failures = validator(dataSchema, data, target);
+    if (Array.isArray(failures) && failures.length > 0)
+    {
+      throw new ValidationError(target, failures, {methodCall: this, data});
+    }
+
+    return this;
+  }
+
   /**
    * Build a `Request` object for our method call.
    * 
@@ -662,10 +1295,17 @@ class WebserviceMethodCall
    * When passing an `object` each property name/key will represent the
    * query parameter you want to set. Then the property values supported are:
    * 
-   * - `Array`       → set the same parameter multiple times.
+   * - `Array`       → formatted using the `queryFormat` option;
+   *                   by default the same parameter is set multiple times.
+   * - `object`      → nested parameters using brackets,
+   *                   e.g. `{filter: {status: 'open'}}` → `filter[status]=open`.
+   * - `Date`        → use the `toISOString()` value.
    * - `null`        → delete the parameter if it was set.
+   * - `undefined`   → skipped entirely.
    * - Anything else → use as a string value.
    * 
+   * See {@link module:@lumjs/web-service/query.append} for details.
+   * 
    * On any HTTP method that _requires_ a request body, this must be set
    * explicitly in the `options` to specify a query string.
    * 
@@ -680,6 +1320,10 @@ class WebserviceMethodCall
    * `headers` argument of the `setupBody()` method.
    * 
    * @returns {Request}
+   * 
+   * @throws {module:@lumjs/web-service/errors.ValidationError}
+   * If any of the schema options are set and the data is not valid.
+   * See {@link module:@lumjs/web-service/methodcall#validate} for details.
    */
   makeRequest(options={})
   {
@@ -707,7 +1351,35 @@ class WebserviceMethodCall
       throw new RangeError("Request body forbidden for "+this.http);
     }
 
+    if (urlData === options)
+    { // Only validate the properties actually used as variables.
+      const vars = {};
+      for (const name of this.placeholderNames)
+      {
+        if (options[name] !== undefined)
+        {
+          vars[name] = options[name];
+        }
+      }
+      this.validate('vars', vars);
+    }
+    else
+    {
+      this.validate('vars', urlData);
+    }
+
     const url = this.parseURL(urlData, (urlData === options));
+
+    if (isObj(queryData))
+    {
+      this.validate('query', queryData);
+    }
+
+    if (notNil(bodyData))
+    {
+      this.validate('body', bodyData);
+    }
+
     const reqOpts = this.getNestedOptions('request',
     {
       override:
@@ -724,26 +1396,8 @@ class WebserviceMethodCall
 
     if (isObj(queryData))
     {
-      const query = url.searchParams;
-      for (const key in queryData)
-      {
-        const val = queryData[key];
-        if (Array.isArray(val))
-        { // An Array specifies multiple headers.
-          for (const subval of val)
-          {
-            query.append(key, subval);
-          }
-        }
-        else if (val === null)
-        { // A null value species to delete a header.
-          query.delete(key);
-        }
-        else
-        { // Anything else we set a single header.
-          query.set(key, val);
-        }
-      }
+      queryString.append(url.searchParams, queryData,
+        {format: this.queryFormat});
     }
 
     console.debug("makeRequest", 
@@ -760,133 +1414,1363 @@ class WebserviceMethodCall
     return new Request(url, reqOpts);
   }
 
-  /** 
-   * Send a request using the Fetch API.
+  /**
+   * Read the body of a `Response`.
    * 
-   * @param {object} [options] Options for `buildRequest()`.
+   * Triggers `progress` events as each chunk of the body is received.
+   * 
+   * @param {Response} response - The response to read.
+   * @returns {Promise<Uint8Array>} Resolves to the body bytes.
+   * @fires module:@lumjs/web-service/methodcall#progress
+   */
+  async readBody(response)
+  {
+    if (!response.body)
+    {
+      return new Uint8Array(0);
+    }
+
+    const total = contentLength(response);
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true)
+    {
+      const {done, value} = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.byteLength;
+      this.trigger('progress', {loaded, total});
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks)
+    {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Read the body of a `Response` as text.
    * 
-   * Will be used to build the `Request` object passed to `fetch()`.
+   * Uses the `charset` from the `Content-Type` header if there is one
+   * that is supported, otherwise uses `utf-8`.
    * 
-   * @returns {Promise} What this resolves to depends on a few factors.
+   * @param {Response} response - The response to read.
+   * @returns {Promise<string>}
+   * @fires module:@lumjs/web-service/methodcall#progress
+   */
+  async readText(response)
+  {
+    const bytes = await this.readBody(response);
+    const charset = getCharset(response);
+
+    let decoder;
+    try
+    {
+      decoder = new TextDecoder(charset);
+    }
+    catch (err)
+    { // Unsupported charset.
+      decoder = new TextDecoder();
+    }
+
+    return decoder.decode(bytes);
+  }
+
+  /**
+   * Get the body of a `Response` as a stream that reports progress.
    * 
-   * The various `autoDecode*` options. If one of them was `true` and the
-   * response has a matching `Content-Type` header, then this will resolve
-   * to an object of the corresponding data type.
+   * @param {Response} response - The response to read.
    * 
-   * In any other case it will be the `Response` object from `fetch()`.
+   * @param {AbortController} [controller] From `startAbortable()`.
    * 
-   * @fires module:@lumjs/web-service/methodcall#response
-   * @fires module:@lumjs/web-service/methodcall#data
+   * If this is set, aborting it will stop the stream (with the abort
+   * reason as the error), and it will be passed to `endAbortable()`
+   * once the stream has been closed, cancelled, or aborted.
+   * 
+   * @returns {?ReadableStream} Will be `null` if the response has no body.
    * 
+   * A `progress` event will be triggered as each chunk is read from it.
    */
-  async send(options)
+  progressStream(response, controller=null)
   {
-    const request = this.makeRequest(options);
-
-    const doJSON  = this.autoDecodeJSON,
-          doXML   = this.autoDecodeXML,
-          doHTML  = this.autoDecodeHTML;
-
-    let doXHTML;
-    if (doXML || doHTML)
+    const release = () =>
     {
-      doXHTML = this.autoDecodeXHTML;
-      if (typeof doXHTML !== B)
+      if (controller)
       {
-        doXHTML = doHTML;
+        this.endAbortable(controller);
       }
     }
-    else
+
+    if (!response.body)
     {
-      doXHTML = false;
+      release();
+      return null;
     }
 
-    return fetch(request).then((response) =>
+    const total = contentLength(response);
+    let loaded = 0;
+
+    return response.body.pipeThrough(new TransformStream(
     {
-      this.trigger('response', response);
+      transform: (chunk, stream) =>
+      {
+        loaded += chunk.byteLength;
+        this.trigger('progress', {loaded, total});
+        stream.enqueue(chunk);
+      },
+      flush:  release,
+      cancel: release,
+    }), {signal: controller?.signal});
+  }
 
-      const ctype = response.headers.get(CT);
-      if (ctype !== null)
-      { // See if we can do some auto-decoding.
-        if (doJSON && ctype === MIME.JSON)
-        {
-          return response.json();
-        }
+  /**
+   * Read the records from a newline delimited JSON `Response`.
+   * 
+   * The body is read as the iterator is consumed, so records can be
+   * processed before the full response has been received. Lines may be
+   * split across chunks of the body in any way, and empty lines are
+   * skipped. If the `responseSchema` option is set, each record will be
+   * validated against it.
+   * 
+   * A `record` event will be triggered for each record as it is read;
+   * note that if the iterator isn't consumed, no events will be triggered.
+   * 
+   * @param {Response} response - The response to read.
+   * 
+   * @param {AbortController} [controller] From `startAbortable()`.
+   * 
+   * If this is set, aborting it will stop the iterator (throwing the
+   * abort reason), and it will be passed to `endAbortable()` once the
+   * iterator has finished, thrown an error, or been stopped early.
+   * 
+   * @returns {AsyncIterator} An async iterator of records.
+   * 
+   * Calling its `return()` method (which `break` in a `for await` loop
+   * does for you) cancels the rest of the body, even if no records have
+   * been read yet. An iterator that is simply discarded will hold the
+   * body open (and the request outstanding) until the controller is
+   * aborted, so either consume it, stop it, or abort it.
+   * 
+   * If a line is not valid JSON, the iterator will throw a `SyntaxError`
+   * with a `line` property (the line number, starting from `1`), and the
+   * original error as the `cause`. Any errors thrown by the iterator are
+   * also triggered as `error` events.
+   * 
+   * @fires module:@lumjs/web-service/methodcall#record
+   * @fires module:@lumjs/web-service/methodcall#progress
+   * @fires module:@lumjs/web-service/methodcall#error
+   */
+  readRecords(response, controller=null)
+  {
+    const body = this.progressStream(response, controller);
+    const records = body
+      ? recordGenerator(this, body, response, controller)
+      : (async function*() {})();
+    let started = false;
 
-        const parseXML = (xmlText) => 
+    const stop = () =>
+    {
+      if (!started)
+      { // The generator never ran, so its own cleanup won't either.
+        started = true;
+        body?.cancel().catch(() => {});
+        if (controller)
         {
-          const opts = this.parseXMLOpts;
-          opts.type = ctype;
-          return parser.parseXML(xmlText, opts);
+          this.endAbortable(controller);
         }
-        
-        const parseHTML = (htmlText) =>
-          parser.parseHTML(htmlText, this.parseHTMLOpts);
+      }
+    }
 
-        if (doXML && ctype === MIME.XML)
-        {
-          return response.text().then(parseXML);
-        }
+    return {
+      [Symbol.asyncIterator]() { return this; },
+      next(value)
+      {
+        started = true;
+        return records.next(value);
+      },
+      return(value)
+      {
+        stop();
+        return records.return(value);
+      },
+      throw(err)
+      {
+        stop();
+        return records.throw(err);
+      },
+    };
+  }
 
-        if (doHTML && ctype === MIME.HTML)
-        {
-          return response.text().then(parseHTML);
-        }
+  /**
+   * Decode a `Response` as a specific type.
+   * 
+   * @param {Response} response - The response to decode.
+   * @param {string} responseType - Any of the `DEFS.RESPONSE_TYPES`
+   * other than `auto`.
+   * @param {AbortController} [controller] From `startAbortable()`.
+   * 
+   * Only used by the `stream` and `ndjson` types, which pass it to
+   * `progressStream()` and `readRecords()` respectively.
+   * 
+   * @returns {Promise}
+   * @throws {RangeError} If the `responseType` is not supported.
+   * @throws {TypeError} If the `responseType` is `file`, and the
+   * `File` class is not available.
+   */
+  async decodeAs(response, responseType, controller=null)
+  {
+    const ctype = response.headers.get(CT) ?? '';
 
-        if (doXHTML && ctype === MIME.XHTML)
+    switch (responseType)
+    {
+      case 'json':
+        return JSON.parse(await this.readText(response));
+      case 'text':
+        return this.readText(response);
+      case 'arrayBuffer':
+        return (await this.readBody(response)).buffer;
+      case 'blob':
+        return new Blob([await this.readBody(response)], {type: ctype});
+      case 'stream':
+        return this.progressStream(response, controller);
+      case 'ndjson':
+        return this.readRecords(response, controller);
+      case 'file':
+      {
+        if (typeof globalThis.File !== F)
         {
-          if (doHTML)
-          {
-            return response.text().then(parseHTML);
-          }
-          else
-          {
-            return response.text().then(parseXML);
-          }
+          throw new TypeError("File is not available");
         }
-
+        const disp = parseContentDisposition(response.headers.get(CD));
+        const name = disp?.filename || urlFilename(response.url) || 'download';
+        return new File([await this.readBody(response)], name, {type: ctype});
       }
+    }
 
-      return response;
-    }).then((data) =>
+    console.error({responseType, methodCall: this});
+    throw new RangeError("Unsupported responseType");
+  }
+
+  /**
+   * Getter for the response decoders.
+   * 
+   * Composed of the `decoders` option of this MethodCall, followed by the
+   * `decoders` option of the Webservice, and finally the built-in
+   * {@link module:@lumjs/web-service/methodcall.DECODERS DECODERS}.
+   * 
+   * Like the `middleware` option, the `decoders` options are always
+   * composed rather than the MethodCall option replacing the Webservice one.
+   * Each option is an object where the property names are media type
+   * patterns (see `utils.matchMediaType()`) and the values are decoder
+   * functions, or `null` to disable decoding for matching media types.
+   * 
+   * @returns {Array} A list of `[pattern, decoder]` pairs in the order
+   * they will be tried by `decodeResponse()`.
+   * 
+   * See {@link module:@lumjs/web-service/methodcall~Decoder} for details
+   * on how the decoder functions work.
+   */
+  get decoders()
+  {
+    return this.composeHandlers('decoders', DECODERS);
+  }
+
+  /**
+   * Decode a `Response` using the `responseType` and `autoDecode*` options.
+   * 
+   * @param {Response} response - The response to decode.
+   * 
+   * The body of the response will be read if a matching decoder is found,
+   * so pass `response.clone()` if you need the original to stay readable.
+   * 
+   * @param {string} [responseType] Override the `responseType` option.
+   * @param {AbortController} [controller] From `startAbortable()`;
+   * passed to `decodeAs()` and to the decoders.
+   * 
+   * @returns {Promise} What this resolves to depends on a few factors.
+   * 
+   * If the response was successful, and the `responseType` is anything
+   * other than `auto`, this resolves to the output of `decodeAs()`.
+   * 
+   * Otherwise each of the `decoders` with a pattern matching the
+   * `Content-Type` of the response will be tried in order, until one
+   * of them returns something other than `undefined`. The built-in
+   * decoders use the various `autoDecode*` options to determine if
+   * they should decode the response.
+   * 
+   * If no decoder was used it will be the `Response` object itself.
+   */
+  async decodeResponse(response, responseType=this.responseType,
+    controller=null)
+  {
+    if (response.ok && responseType !== 'auto')
     {
-      if (!(data instanceof Response))
-      { // The response has been decoded to a different form.
-        this.trigger('data', data);
+      return this.decodeAs(response, responseType, controller);
+    }
+
+    const mediaType = parseMediaType(response.headers.get(CT));
+    if (mediaType)
+    { // See if we can do some auto-decoding.
+      for (const [pattern, decoder] of this.decoders)
+      {
+        if (!matchMediaType(mediaType, pattern)) continue;
+
+        if (typeof decoder !== F)
+        { // Decoding has been disabled for this pattern.
+          break;
+        }
+
+        const data = await decoder(response, mediaType, this, controller);
+        if (data !== undefined)
+        {
+          return data;
+        }
       }
+    }
 
-      return data;
+    return response;
+  }
 
-    }); // fetch().then().then()
+  /**
+   * Getter for `queryFormat` option.
+   * 
+   * Determines how array values in the query data are serialized;
+   * must be one of the `query.FORMATS`. Defaults to `repeat`.
+   * 
+   * @returns {string}
+   * @see {@link module:@lumjs/web-service/query}
+   */
+  get queryFormat()
+  {
+    return this.getOption('queryFormat', 'repeat');
+  }
 
-  } // send()
+  /**
+   * Getter for `throwOnHttpError` option.
+   * 
+   * If `true`, then `send()` will reject with an `HttpError` whenever
+   * the `Response` has a status code outside of the `2xx` range.
+   * 
+   * If not explicitly set, defaults to `false`, which means every
+   * `Response` will be handled the same regardless of its status.
+   * 
+   * @returns {boolean}
+   */
+  get throwOnHttpError()
+  {
+    return this.getOption('throwOnHttpError', false);
+  }
 
   /**
-   * A `Response` from `send()` has been received.
+   * Getter for `throwOnProblem` option.
    * 
-   * @event module:@lumjs/web-service/methodcall#response
-   * @type {Response}
+   * If `true`, then `send()` will reject with a `ProblemError` whenever
+   * the `Response` has a status code outside of the `2xx` range and
+   * a `Content-Type` of `application/problem+json`, even if the
+   * `throwOnHttpError` option is `false`.
+   * 
+   * If not explicitly set, defaults to `true`.
+   * 
+   * @returns {boolean}
    */
+  get throwOnProblem()
+  {
+    return this.getOption('throwOnProblem', true);
+  }
 
   /**
-   * Data from a `Response` has been decoded into a native format.
+   * Build an `HttpError` for a failed `Response`.
    * 
-   * This event will only be triggered if auto-decoding is enabled
-   * for the `Content-Type` of the `Response` that was received.
+   * If the response has a `Content-Type` of `application/problem+json`,
+   * the body will be parsed as JSON (regardless of the `autoDecodeJSON`
+   * option), and if it is an object a `ProblemError` will be built.
+   * A `problem` event will be triggered on this MethodCall, and then on
+   * the `_events` of the parent Webservice.
    * 
-   * @event module:@lumjs/web-service/methodcall#data
-   * @type {object}
+   * Otherwise the error body will be decoded from a clone of the
+   * `response` using the same rules as `decodeResponse()`.
    * 
-   * The exact type of object depends on the format that was decoded.
+   * @param {Response} response - The response with a non-2xx status.
+   * @param {Request} request - The request that was sent.
    * 
-   * - JSON:  A plain `object` or an `Array`.
-   * - HTML:  An `HTMLDocument`.
-   * - XML:   An `XMLDocument`.
-   * - XHTML: An `HTMLDocument` or `XMLDocument` depending on options.
+   * @returns {Promise<module:@lumjs/web-service/errors.HttpError>}
    * 
+   * @fires module:@lumjs/web-service/methodcall#problem
+   * @fires module:@lumjs/web-service/webservice#problem
    */
+  async makeHttpError(response, request)
+  {
+    let body = null;
 
-} // WebserviceMethodCall class
+    if (matchMediaType(response.headers.get(CT), MIME.PROBLEM))
+    {
+      try
+      {
+        body = JSON.parse(await this.readText(response.clone()));
+      }
+      catch (err)
+      {
+        console.error("Could not decode problem details", {err, response});
+      }
+
+      if (isObj(body) && !Array.isArray(body))
+      {
+        const problem = new ProblemError(response, 
+          {request, methodCall: this, body});
+
+        this.trigger('problem', problem);
+        if (this.ws)
+        {
+          this.ws._events.trigger('problem', problem);
+        }
+
+        return problem;
+      }
+
+      return new HttpError(response, {request, methodCall: this, body});
+    }
+
+    try
+    {
+      body = await this.decodeResponse(response.clone());
+      if (body instanceof Response)
+      { // Nothing we know how to decode.
+        body = null;
+      }
+    }
+    catch (err)
+    { // A malformed error body isn't worth losing the original error over.
+      console.error("Could not decode error body", {err, response});
+    }
+
+    return new HttpError(response, {request, methodCall: this, body});
+  }
+
+  /**
+   * Getter for `transport` option.
+   * 
+   * The transport adapter used to actually send requests.
+   * 
+   * If not explicitly set, defaults to `transport.DEFAULT`, which is a
+   * `FetchTransport` that uses the `fetch` option if it is set, or the
+   * global `fetch()` function if it is not.
+   * 
+   * @returns {module:@lumjs/web-service/transport~Transport}
+   */
+  get transport()
+  {
+    return this.getOption('transport', transports.DEFAULT);
+  }
+
+  /**
+   * Getter for `uploadProgress` option.
+   * 
+   * If `true`, request bodies will be sent in a way that allows
+   * `uploadProgress` events to be triggered. This is mostly useful for
+   * large binary bodies such as `Blob` and `File` objects.
+   * 
+   * With the default `FetchTransport` the body will be sent as a stream
+   * (which requires HTTP/2 in some browsers, so it falls back to using
+   * `XMLHttpRequest` if that fails). See the `transport` module for details,
+   * and for the `XHRTransport` which always reports progress.
+   * 
+   * If not explicitly set, defaults to `false`.
+   * 
+   * @returns {boolean}
+   */
+  get uploadProgress()
+  {
+    return this.getOption('uploadProgress', false);
+  }
+
+  /**
+   * Getter for `retry` nested options.
+   * 
+   * Uses `RETRY_DEFS` as the defaults.
+   * 
+   * @returns {module:@lumjs/web-service/defs.RETRY_DEFS}
+   */
+  get retryOpts()
+  {
+    return this.getNestedOptions('retry', {defaults: RETRY_DEFS});
+  }
+
+  /**
+   * Get the maximum number of attempts allowed for a request.
+   * 
+   * Unless the `retry.force` option is `true`, this will always be `1`
+   * if the `HttpRules` for our HTTP method say it is not `idempotent`.
+   * 
+   * @param {module:@lumjs/web-service/defs.RETRY_DEFS} retryOpts 
+   * @returns {number}
+   */
+  maxAttempts(retryOpts)
+  {
+    const methOpts = this.httpMethods[this.http];
+    if (!retryOpts.force && !(isObj(methOpts) && methOpts.idempotent))
+    {
+      return 1;
+    }
+    return Math.max(1, parseInt(retryOpts.attempts) || 1);
+  }
+
+  /**
+   * Get the delay before the next retry attempt.
+   * 
+   * @param {number} attempt - The attempt that just failed (`1` or higher).
+   * @param {module:@lumjs/web-service/defs.RETRY_DEFS} retryOpts 
+   * @param {?Response} [response] The response that failed (if any).
+   * @returns {number} Delay in milliseconds.
+   * 
+   * This will never be more than the `maxDelay` option,
+   * even if the `Retry-After` header asked for a longer delay.
+   */
+  retryDelay(attempt, retryOpts, response)
+  {
+    if (retryOpts.retryAfter && response instanceof Response)
+    {
+      const after = parseRetryAfter(response.headers.get(RA));
+      if (after !== null)
+      { // The server knows best (within reason).
+        return Math.min(after, retryOpts.maxDelay);
+      }
+    }
+
+    let delay = retryOpts.delay * Math.pow(2, attempt-1);
+    delay = Math.min(delay, retryOpts.maxDelay);
+
+    const jitter = Math.min(Math.max(retryOpts.jitter, 0), 1);
+    if (jitter > 0)
+    {
+      delay -= delay * jitter * Math.random();
+    }
+
+    return Math.round(delay);
+  }
+
+  /**
+   * Fetch a `Response`, retrying if allowed by the `retry` options.
+   * 
+   * @param {Request} request - The request to send.
+   * @returns {Promise<Response>}
+   * 
+   * Each attempt is sent using the `transport`.
+   * 
+   * If all attempts fail with a retryable status code, this resolves
+   * to the last `Response` received. If all attempts fail with a network
+   * error, this rejects with the last error thrown.
+   * 
+   * @fires module:@lumjs/web-service/methodcall#retry
+   */
+  async fetchResponse(request)
+  {
+    const retryOpts = this.retryOpts;
+    const maxAttempts = this.maxAttempts(retryOpts);
+
+    for (let attempt = 1; ; attempt++)
+    {
+      const lastAttempt = (attempt >= maxAttempts);
+      const req = lastAttempt ? request : request.clone();
+      let response = null, reason;
+
+      try
+      {
+        response = await this.transport.send(req, this);
+        if (lastAttempt || !retryOpts.statuses.includes(response.status))
+        {
+          return response;
+        }
+        reason = response;
+      }
+      catch (err)
+      {
+        if (lastAttempt || !retryOpts.networkErrors || request.signal.aborted)
+        { // Aborted requests (including timeouts) are never retried.
+          throw err;
+        }
+        reason = err;
+      }
+
+      const delay = this.retryDelay(attempt, retryOpts, response);
+      this.trigger('retry', {attempt: attempt+1, maxAttempts, delay, reason});
+
+      if (response?.body)
+      { // Release the connection rather than waiting for it to be collected.
+        response.body.cancel().catch(() => {});
+      }
+
+      await wait(delay, request.signal);
+    }
+  }
+
+  /**
+   * Getter for `cache` nested options.
+   * 
+   * Uses `CACHE_DEFS` as the defaults.
+   * 
+   * @returns {module:@lumjs/web-service/defs.CACHE_DEFS}
+   */
+  get cacheOpts()
+  {
+    return this.getNestedOptions('cache', {defaults: CACHE_DEFS});
+  }
+
+  /**
+   * Get a `ResponseCache` instance.
+   * 
+   * @param {object} [cacheOpts] Options from `cacheOpts`.
+   * If not specified, they will be looked up.
+   * 
+   * @returns {?module:@lumjs/web-service/cache.ResponseCache}
+   * Will be `null` if the `cache.enabled` option is not `true`.
+   */
+  getCache(cacheOpts=this.cacheOpts)
+  {
+    if (!cacheOpts.enabled)
+    {
+      return null;
+    }
+
+    let adapter = cacheOpts.adapter;
+    if (!adapter)
+    { // Use a default adapter shared by the whole service.
+      const owner = this.ws ?? this;
+      if (!owner._cacheAdapter)
+      {
+        owner._cacheAdapter = new cache.MemoryCache(cacheOpts);
+      }
+      adapter = owner._cacheAdapter;
+    }
+
+    return new cache.ResponseCache(adapter, cacheOpts);
+  }
+
+  /**
+   * Send a request, using the response cache if enabled.
+   * 
+   * This is the final link in the middleware chain.
+   * 
+   * If the `HttpRules` for our HTTP method say it is `cacheable`,
+   * the cache will be used to fetch the response. Otherwise if the 
+   * rules say it is not `safe`, any cached entries for the same path
+   * will be invalidated if the response has a 2xx status code.
+   * 
+   * @param {module:@lumjs/web-service/methodcall~Context} context
+   * @returns {Promise<Response>}
+   */
+  async transmit(context)
+  {
+    const request = context.request;
+    const cacheOpts = this.cacheOpts;
+    const respCache = this.getCache(cacheOpts);
+
+    if (!respCache)
+    {
+      return this.fetchResponse(request);
+    }
+
+    const rules = this.httpMethods[this.http] ?? {};
+
+    if (rules.cacheable)
+    {
+      const mode = context.sendOptions.cache ?? cacheOpts.mode;
+      return respCache.fetch(request, mode, 
+        (req) => this.fetchResponse(req));
+    }
+
+    const response = await this.fetchResponse(request);
+
+    if (!rules.safe && response.ok)
+    {
+      await respCache.invalidate(request.url);
+    }
+
+    return response;
+  }
+
+  /**
+   * Getter for the full middleware chain.
+   * 
+   * Composed of the Webservice-level middleware (added via
+   * `builder.use()` or `ws._use()`), followed by the MethodCall-level
+   * middleware (from the `middleware` option of this MethodCall).
+   * 
+   * Unlike most options, the `middleware` option of this MethodCall does
+   * not fall back on the Webservice options, as they are always composed.
+   * 
+   * @returns {module:@lumjs/web-service/methodcall~Middleware[]}
+   */
+  get middleware()
+  {
+    const chain = [];
+
+    if (this.ws)
+    {
+      chain.push(...this.ws._middleware);
+    }
+
+    let local = this.options.middleware;
+    if (typeof local === F)
+    {
+      local = [local];
+    }
+
+    if (Array.isArray(local))
+    {
+      chain.push(...local);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Run a request through the middleware chain.
+   * 
+   * The final link in the chain is always `transmit()`,
+   * using whatever `context.request` is at the time it is called.
+   * 
+   * @param {module:@lumjs/web-service/methodcall~Context} context
+   * @returns {Promise} Resolves to whatever the first middleware returns;
+   * or the `Response` from `transmit()` if there is no middleware.
+   */
+  dispatch(context)
+  {
+    const chain = this.middleware;
+
+    const next = (index) =>
+    {
+      if (index < chain.length)
+      {
+        const mw = chain[index];
+        if (typeof mw !== F)
+        {
+          console.error({mw, index, chain, methodCall: this});
+          return Promise.reject(new TypeError("Invalid middleware"));
+        }
+        return Promise.resolve(mw(context, () => next(index+1)));
+      }
+      return this.transmit(context);
+    }
+
+    return next(0);
+  }
+
+  /**
+   * Getter for `timeout` option.
+   * 
+   * The maximum time (in milliseconds) that `send()` will wait for a
+   * request to complete (including decoding the response body).
+   * 
+   * If the response was decoded as a `ReadableStream` or an async
+   * iterator (such as with the `stream` or `ndjson` response types),
+   * this includes the time spent reading the body from it.
+   * 
+   * If not explicitly set, defaults to `0` which means no timeout.
+   * 
+   * @returns {number}
+   */
+  get timeout()
+  {
+    return this.getOption('timeout', 0);
+  }
+
+  /**
+   * Start tracking an outstanding request.
+   * 
+   * @protected
+   * @param {Array} signals - Any `AbortSignal` objects to follow.
+   * 
+   * If any of these are aborted, the new controller will be too.
+   * Any non-signal values in the array are ignored.
+   * 
+   * @param {number} [timeout=0] Abort after this many milliseconds.
+   * 
+   * The controller will be aborted with a `TimeoutError` as the reason.
+   * 
+   * @returns {AbortController} A new controller for the request.
+   * 
+   * Once the request has completed, you **MUST** pass this to
+   * `endAbortable()` to clean up.
+   */
+  startAbortable(signals, timeout=0)
+  {
+    const controller = new AbortController();
+    const cleanup = [];
+
+    for (const signal of signals)
+    {
+      if (!(signal instanceof AbortSignal)) continue;
+
+      if (signal.aborted)
+      { // Was aborted before we even started.
+        controller.abort(signal.reason);
+        break;
+      }
+
+      const onAbort = () => controller.abort(signal.reason);
+      signal.addEventListener('abort', onAbort, {once: true});
+      cleanup.push(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    if (timeout > 0 && !controller.signal.aborted)
+    {
+      const timer = setTimeout(() => 
+      {
+        controller.abort(new TimeoutError(timeout, {methodCall: this}));
+      }, timeout);
+      cleanup.push(() => clearTimeout(timer));
+    }
+
+    this._pending.set(controller, cleanup);
+    return controller;
+  }
+
+  /**
+   * Stop tracking an outstanding request.
+   * 
+   * @protected
+   * @param {AbortController} controller - From `startAbortable()`.
+   */
+  endAbortable(controller)
+  {
+    const cleanup = this._pending.get(controller);
+    if (cleanup)
+    {
+      for (const fn of cleanup)
+      {
+        fn();
+      }
+      this._pending.delete(controller);
+    }
+  }
+
+  /**
+   * Abort every outstanding request sent by this MethodCall.
+   * 
+   * @param {*} [reason] The abort reason.
+   * 
+   * If not specified, the default `AbortError` will be used.
+   * 
+   * @returns {object} `this`
+   */
+  abortAll(reason)
+  {
+    for (const controller of this._pending.keys())
+    {
+      controller.abort(reason);
+    }
+    return this;
+  }
+
+  /**
+   * Getter for `dedupe` option.
+   * 
+   * If `true`, then concurrent identical requests for methods with `safe`
+   * HttpRules will be coalesced into a single request. Every caller is
+   * given its own copy of the `Response` (the last caller to get it is
+   * given the original), which is then decoded separately for each
+   * caller, so streams and iterators are never shared.
+   * 
+   * The first caller owns the shared request, so if it is aborted (or
+   * times out) every caller will be rejected. Any other caller aborting
+   * only stops it from waiting on the shared request.
+   * 
+   * If not explicitly set, defaults to `false`.
+   * 
+   * @returns {boolean}
+   */
+  get dedupe()
+  {
+    return this.getOption('dedupe', false);
+  }
+
+  /**
+   * Get the key used to find identical in-flight requests.
+   * 
+   * @param {Request} request - The request being sent.
+   * 
+   * @returns {?string} Will be `null` if deduplication isn't enabled,
+   * if the HTTP method isn't `safe`, or if the request has a body.
+   */
+  dedupeKey(request)
+  {
+    const rules = this.httpMethods[this.http];
+    if (!this.dedupe || !(isObj(rules) && rules.safe) || request.body)
+    {
+      return null;
+    }
+
+    const headers = Array.from(request.headers.entries()).sort()
+      .map(([name, value]) => name+': '+value);
+
+    return [request.method+' '+request.url, ...headers].join('\n');
+  }
+
+  /**
+   * Get the output of the middleware chain for a deduplicated request.
+   * 
+   * If an identical request is already in-flight, its output will be
+   * shared, otherwise the middleware chain will be run for a new one.
+   * 
+   * @protected
+   * @param {string} key - From `dedupeKey()`.
+   * @param {module:@lumjs/web-service/methodcall~Context} context
+   * 
+   * @returns {Promise} Resolves to the output from `dispatch()`.
+   * 
+   * A `Response` is cloned for every caller except the last one still
+   * waiting for it, so the original body is always read by someone.
+   * 
+   * @fires module:@lumjs/web-service/methodcall#dedupe
+   */
+  async sharedResponse(key, context)
+  {
+    let shared = this._inflight.get(key);
+    if (shared)
+    { // An identical request is already in-flight.
+      shared.waiting++;
+      this.dedupeCount++;
+      this.trigger('dedupe', {key, count: this.dedupeCount});
+    }
+    else
+    {
+      shared = {response: this.dispatch(context), waiting: 1};
+      this._inflight.set(key, shared);
+      const done = () => this._inflight.delete(key);
+      shared.response.then(done, done);
+    }
+
+    let response;
+    try
+    {
+      response = await abortable(shared.response, context.controller.signal);
+    }
+    finally
+    {
+      shared.waiting--;
+    }
+
+    return (response instanceof Response && shared.waiting > 0)
+      ? response.clone()
+      : response;
+  }
+
+  /**
+   * Process a request and its response.
+   * 
+   * Runs the middleware chain and then handles the response.
+   * Called by `send()` after building the request.
+   * 
+   * @protected
+   * @param {module:@lumjs/web-service/methodcall~Context} context
+   * @returns {Promise} See `send()` for details.
+   */
+  async process(context)
+  {
+    const response = await this.dispatch(context);
+    return this.handleResponse(response, context);
+  }
+
+  /**
+   * Handle the output of the middleware chain.
+   * 
+   * Called by `process()`, or by `send()` for each caller sharing
+   * a deduplicated request.
+   * 
+   * @protected
+   * @param {*} response - The `Response` (or already decoded data).
+   * @param {module:@lumjs/web-service/methodcall~Context} context
+   * @returns {Promise} See `send()` for details.
+   */
+  async handleResponse(response, context)
+  {
+    let data;
+    if (response instanceof Response)
+    {
+      this.trigger('response', response);
+
+      if (!response.ok && (this.throwOnHttpError || (this.throwOnProblem
+        && matchMediaType(response.headers.get(CT), MIME.PROBLEM))))
+      {
+        const err = await this.makeHttpError(response, context.request);
+        if (this.throwOnHttpError || err instanceof ProblemError)
+        { // Malformed problems are handled like any other response.
+          throw err;
+        }
+      }
+
+      const rtype = context.sendOptions.responseType ?? this.responseType;
+      data = await this.decodeResponse(response, rtype, context.controller);
+
+      const isJSON = (rtype === 'auto')
+        ? matchMediaType(response.headers.get(CT), JSON_TYPES)
+        : (rtype === 'json');
+
+      if (response.ok && isJSON && !(data instanceof Response))
+      {
+        this.validate('response', data);
+      }
+    }
+    else
+    { // A middleware transformed the response data.
+      data = response;
+    }
+
+    if (!(data instanceof Response))
+    { // The response has been decoded to a different form.
+      this.trigger('data', data);
+    }
+
+    return data;
+  }
+
+  /** 
+   * Send a request using the Fetch API.
+   * 
+   * @param {object} [options] Options for `makeRequest()`.
+   * 
+   * Will be used to build the `Request` object which is passed through
+   * the middleware chain (see `dispatch()`) and finally to the `transport`.
+   * 
+   * @param {object} [sendOptions] Options that control the call itself.
+   * 
+   * These are kept separate from the `options`, as those may be used
+   * as the query, body, or placeholder variables for the request.
+   * 
+   * @param {AbortSignal} [sendOptions.signal] A signal to abort the request.
+   * 
+   * Will be combined with any signal from the `request` nested options,
+   * the `timeout`, and the `abortAll()` method.
+   * 
+   * @param {number} [sendOptions.timeout] Override the `timeout` option.
+   * 
+   * @param {string} [sendOptions.cache] Override the `cache.mode` option.
+   * 
+   * Must be one of the modes from `cache.MODES`.
+   * 
+   * @param {string} [sendOptions.responseType] Override the `responseType`
+   * option. Must be one of the `DEFS.RESPONSE_TYPES`.
+   * 
+   * @returns {Promise} Resolves to the output from `decodeResponse()`.
+   * 
+   * If the middleware chain resolved to something other than a `Response`,
+   * it is assumed to be already decoded data and will be used as-is.
+   * 
+   * If the `throwOnHttpError` option is `true` and the `Response` has
+   * a non-2xx status code, this will reject with an `HttpError` instead.
+   * 
+   * If the `throwOnProblem` option is `true` (the default) and the
+   * `Response` has a non-2xx status code and is a problem details
+   * document, this will reject with a `ProblemError`.
+   * 
+   * If the request timed out, this will reject with a `TimeoutError`.
+   * 
+   * @fires module:@lumjs/web-service/methodcall#response
+   * @fires module:@lumjs/web-service/methodcall#data
+   * @fires module:@lumjs/web-service/methodcall#error
+   * @fires module:@lumjs/web-service/methodcall#retry
+   * @fires module:@lumjs/web-service/methodcall#dedupe
+   * @fires module:@lumjs/web-service/methodcall#progress
+   * @fires module:@lumjs/web-service/methodcall#uploadProgress
+   * @fires module:@lumjs/web-service/methodcall#problem
+   * 
+   */
+  async send(options, sendOptions={})
+  {
+    const sendOpts = Object.assign({}, sendOptions);
+    const timeout = sendOpts.timeout ?? this.timeout;
+    let controller = null, streaming = false;
+
+    try
+    {
+      let request = this.makeRequest(options);
+      controller = this.startAbortable([request.signal, sendOpts.signal], timeout);
+      request = new Request(request, {signal: controller.signal});
+
+      const context = 
+      {
+        methodCall: this, 
+        options, 
+        sendOptions: sendOpts,
+        controller,
+        request,
+      };
+
+      const dedupeKey = this.dedupeKey(request);
+      let data;
+
+      if (dedupeKey === null)
+      { // Not using deduplication.
+        data = await this.process(context);
+      }
+      else
+      {
+        const response = await this.sharedResponse(dedupeKey, context);
+        data = await this.handleResponse(response, context);
+      }
+
+      if (isStreaming(data))
+      { // The body is still being read, so keep the request outstanding.
+        streaming = true;
+        controller.signal.addEventListener('abort', 
+          () => this.endAbortable(controller), {once: true});
+      }
+
+      return data;
+    }
+    catch (err)
+    {
+      if (controller && controller.signal.reason instanceof TimeoutError)
+      { // Report the timeout rather than a generic abort error.
+        err = controller.signal.reason;
+      }
+      this.trigger('error', err);
+      throw err;
+    }
+    finally
+    {
+      if (controller && !streaming)
+      {
+        this.endAbortable(controller);
+      }
+    }
+
+  } // send()
+
+  /**
+   * Send a request and get the response body as a `File`.
+   * 
+   * The filename is taken from the `Content-Disposition` header if it
+   * has one, otherwise from the last segment of the URL path.
+   * 
+   * This is just a shortcut for calling `send()` with the `responseType`
+   * send option set to `file`. Use the `progress` event to track downloads.
+   * 
+   * @param {object} [options] Options for `send()`.
+   * @param {object} [sendOptions] Send options for `send()`.
+   * @returns {Promise} Resolves to a `File` if the response was successful.
+   * 
+   * Unsuccessful responses are handled the same as with `send()`,
+   * so you may want to use the `throwOnHttpError` option.
+   */
+  download(options, sendOptions={})
+  {
+    return this.send(options,
+      Object.assign({}, sendOptions, {responseType: 'file'}));
+  }
+
+  /**
+   * A `Response` from `send()` has been received.
+   * 
+   * @event module:@lumjs/web-service/methodcall#response
+   * @type {Response}
+   */
+
+  /**
+   * Data from a `Response` has been decoded into a native format.
+   * 
+   * This event will only be triggered if the `responseType` is not `auto`,
+   * or if auto-decoding is enabled for the `Content-Type` of the `Response`
+   * that was received.
+   * 
+   * @event module:@lumjs/web-service/methodcall#data
+   * @type {*}
+   * 
+   * The exact type of data depends on the format that was decoded.
+   * 
+   * - JSON:  A plain `object` or an `Array`.
+   * - HTML:  An `HTMLDocument`.
+   * - XML:   An `XMLDocument`.
+   * - XHTML: An `HTMLDocument` or `XMLDocument` depending on options.
+   * - Text:  A `string`.
+   * - NDJSON: An async iterator of records (see `readRecords()`).
+   * - Any other `responseType`: see `DEFS.RESPONSE_TYPES`.
+   * 
+   */
+
+  /**
+   * An error occurred in `send()`.
+   * 
+   * This includes errors building the `Request`, network errors from
+   * the `transport`, and any `HttpError` thrown due to the `throwOnHttpError`
+   * option. The error is re-thrown after this event has been triggered.
+   * 
+   * Errors thrown while reading records from the iterator returned for
+   * newline delimited JSON responses will also trigger this event.
+   * 
+   * Use {@link module:@lumjs/web-service/webservice#_on} to assign
+   * a handler to this event for every MethodCall in a Webservice.
+   * 
+   * @event module:@lumjs/web-service/methodcall#error
+   * @type {Error}
+   */
+
+  /**
+   * A failed request is about to be retried.
+   * 
+   * @event module:@lumjs/web-service/methodcall#retry
+   * @type {object}
+   * 
+   * @prop {number} attempt - The attempt number about to be made (`2+`).
+   * @prop {number} maxAttempts - The maximum number of attempts.
+   * @prop {number} delay - Milliseconds until the attempt will be made.
+   * @prop {(Response|Error)} reason - Why the previous attempt failed.
+   * 
+   * Will be the `Response` if it had a retryable status code,
+   * or the `Error` if the `transport` itself failed.
+   */
+
+  /**
+   * A problem details (`application/problem+json`) response was received.
+   * 
+   * Triggered by `makeHttpError()` before the `error` event, so a handler
+   * assigned with `Webservice#_on()` will see the problems from every
+   * MethodCall. The same error is then triggered as a `problem` event
+   * on the `_events` of the parent Webservice.
+   * 
+   * @event module:@lumjs/web-service/methodcall#problem
+   * @type {module:@lumjs/web-service/errors.ProblemError}
+   */
+
+  /**
+   * A request was coalesced with an identical in-flight request.
+   * 
+   * Only triggered if the `dedupe` option is enabled.
+   * 
+   * @event module:@lumjs/web-service/methodcall#dedupe
+   * @type {object}
+   * 
+   * @prop {string} key - The key from `dedupeKey()`.
+   * @prop {number} count - The new value of `dedupeCount`.
+   */
+
+  /**
+   * Part of a response body has been received.
+   * 
+   * Triggered while the body is being read when decoding a response
+   * (including the `stream` response type, as the stream is read).
+   * A `Response` that is not decoded will not trigger this event.
+   * 
+   * @event module:@lumjs/web-service/methodcall#progress
+   * @type {object}
+   * 
+   * @prop {number} loaded - Bytes received so far.
+   * @prop {?number} total - Total bytes from the `Content-Length` header;
+   * will be `null` if it is not known.
+   */
+
+  /**
+   * A record has been read from a newline delimited JSON response.
+   * 
+   * @event module:@lumjs/web-service/methodcall#record
+   * @type {object}
+   * 
+   * @prop {*} record - The parsed record.
+   * @prop {number} line - The line number of the record (from `1`).
+   */
+
+  /**
+   * Part of a request body has been sent.
+   * 
+   * Triggered by the `XHRTransport`, and by the `FetchTransport` if
+   * the `uploadProgress` option is enabled.
+   * 
+   * @event module:@lumjs/web-service/methodcall#uploadProgress
+   * @type {object}
+   * 
+   * @prop {number} loaded - Bytes sent so far.
+   * @prop {?number} total - Total bytes in the body (if known).
+   */
+
+} // WebserviceMethodCall class
+
+/**
+ * The context object passed to middleware functions.
+ * 
+ * @typedef {object} module:@lumjs/web-service/methodcall~Context
+ * 
+ * @prop {module:@lumjs/web-service/methodcall} methodCall - The MethodCall.
+ * @prop {object} options - The options passed to `makeRequest()`.
+ * @prop {object} sendOptions - Options that control `send()` itself;
+ * such as `signal`, `timeout`, and `cache`.
+ * @prop {AbortController} controller - The controller for the request,
+ * from `startAbortable()`.
+ * @prop {Request} request - The request to be sent.
+ * 
+ * Middleware may modify this request, or replace it with a new one,
+ * before calling `next()`.
+ */
+
+/**
+ * A response decoder function.
+ * 
+ * @callback module:@lumjs/web-service/methodcall~Decoder
+ * 
+ * @param {Response} response - The response to decode.
+ * @param {module:@lumjs/web-service/utils~MediaType} mediaType
+ * The parsed `Content-Type` of the response.
+ * @param {module:@lumjs/web-service/methodcall} methodCall - The MethodCall;
+ * its `readText()` and `readBody()` methods may be used to read the body.
+ * @param {?AbortController} controller - The controller for the request
+ * (from `startAbortable()`), if there is one.
+ * 
+ * If the decoded data is a `ReadableStream` or an async iterator, then
+ * `send()` will leave the request outstanding (so it may still be aborted
+ * or time out) until the controller is passed to `endAbortable()`.
+ * The `progressStream()` and `readRecords()` methods will do that
+ * for you when passed the controller.
+ * 
+ * @returns {*} The decoded data (may be a `Promise`).
+ * 
+ * If this returns (or resolves to) `undefined`, the next decoder with
+ * a matching pattern will be tried. Return the `response` itself to
+ * leave the response undecoded.
+ */
+
+/**
+ * A request body serializer function.
+ * 
+ * @callback module:@lumjs/web-service/methodcall~Serializer
+ * 
+ * @param {object} data - The body data to serialize.
+ * @param {module:@lumjs/web-service/methodcall} methodCall - The MethodCall.
+ * @param {module:@lumjs/web-service/utils~MediaType} mediaType
+ * The parsed `Content-Type` of the request.
+ * 
+ * @returns {*} The request body; anything that `fetch()` supports
+ * (such as a `string`, `Blob`, `FormData`, etc.)
+ * 
+ * If this returns `undefined`, the next serializer with a matching
+ * pattern will be tried.
+ */
+
+/**
+ * A middleware function.
+ * 
+ * @callback module:@lumjs/web-service/methodcall~Middleware
+ * 
+ * @param {module:@lumjs/web-service/methodcall~Context} context
+ * 
+ * @param {function} next - Call the next middleware in the chain.
+ * 
+ * Returns a `Promise` that resolves to the `Response` (or whatever the
+ * next middleware resolved to). May be omitted entirely to short-circuit
+ * the chain, or called more than once to retry a request (in which case
+ * use `context.request.clone()` to keep any request body readable).
+ * 
+ * @returns {*} The `Response` to use, or the decoded data if the
+ * middleware handled decoding itself. May be a `Promise`.
+ */
+
+WebserviceMethodCall.DECODERS = DECODERS;
+WebserviceMethodCall.SERIALIZERS = SERIALIZERS;
 
 module.exports = WebserviceMethodCall;
 
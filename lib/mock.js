@@ -0,0 +1,424 @@
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,N,S,isObj} = core.types;
+
+const Placeholder = require('./placeholder');
+const {PLACEHOLDERS,MIME} = require('./defs');
+const {wait,isInstance} = require('./utils');
+const queryString = require('./query');
+
+const CT = 'Content-Type';
+const ANY = '*';
+const SPEC_KEYS = 
+  ['status','statusText','headers','body','delay','error','response'];
+
+// Is it a response spec rather than just a response body?
+function isSpec(value)
+{
+  return (isObj(value) && !Array.isArray(value) && !isBodyInit(value)
+    && SPEC_KEYS.some(key => value[key] !== undefined));
+}
+
+// Things that can be passed directly as a Response body.
+function isBodyInit(body)
+{
+  return (typeof body === S
+    || body instanceof ArrayBuffer
+    || ArrayBuffer.isView(body)
+    || isInstance(body, 'Blob')
+    || isInstance(body, 'URLSearchParams')
+    || isInstance(body, 'FormData')
+    || isInstance(body, 'ReadableStream'));
+}
+
+/**
+ * A transport adapter returning mock responses, for use in tests.
+ * 
+ * Responses can be registered by `MethodCall` name, or by HTTP method
+ * and path template. Path templates use the same `Placeholder` rules as
+ * method call paths, and any placeholder variables will be extracted and
+ * passed to the response handler.
+ * 
+ * Every request is recorded, so tests can make assertions about
+ * what was sent.
+ * 
+ * ```js
+ * const MockTransport = require('@lumjs/web-service/mock');
+ * const mock = new MockTransport();
+ * const ws = require('./ws-builder.js')() // A function returning a Builder.
+ *   .useTransport(mock)
+ *   .build();
+ * 
+ * mock.respond('listDocs', {body: {docs: []}})
+ *   .route('GET', '/docs/{docId}', (info) => ({docId: info.vars.docId}))
+ *   .respond('delDoc', {status: 403, delay: 50});
+ * 
+ * await ws.getDoc({docId: 42});
+ * mock.assertCalled('getDoc', 1);
+ * ```
+ * 
+ * @exports module:@lumjs/web-service/mock
+ * @implements {module:@lumjs/web-service/transport~Transport}
+ * 
+ * @prop {Array} history - Every request recorded, in the order sent.
+ * 
+ * See {@link module:@lumjs/web-service/mock~Call} for the format.
+ */
+class MockTransport
+{
+  /**
+   * Build a MockTransport instance.
+   * 
+   * @param {object} [options] Options
+   * 
+   * @param {number} [options.delay=0] Default delay for every response (ms).
+   * 
+   * @param {module:@lumjs/web-service/placeholder} [options.placeholders]
+   * Placeholder rule for path templates passed to `route()`.
+   * 
+   * If not specified, the rule will be detected from each template
+   * using the default `PLACEHOLDERS`.
+   * 
+   * @param {module:@lumjs/web-service/mock~Handler} [options.fallback]
+   * Used for requests that have no registered response.
+   * 
+   * If not specified, such requests will be rejected with an `Error`.
+   */
+  constructor(options={})
+  {
+    this.options = options;
+    this.history = [];
+    this._byName = {};
+    this._routes = [];
+  }
+
+  /**
+   * Register a response for a `MethodCall` by name.
+   * 
+   * @param {string} name - The `methodCall.name` to respond to.
+   * @param {module:@lumjs/web-service/mock~Handler} handler
+   * @returns {object} `this`
+   */
+  respond(name, handler)
+  {
+    this._byName[name] = handler;
+    return this;
+  }
+
+  /**
+   * Register a response for an HTTP method and path template.
+   * 
+   * Responses registered by `MethodCall` name take precedence over routes.
+   * If more than one route matches, the first one registered is used.
+   * 
+   * @param {string} method - HTTP method (or `'*'` to match any method).
+   * @param {string} path - Path template to match the URL path against.
+   * 
+   * This must match the full URL path (including any `basePath`).
+   * 
+   * @param {module:@lumjs/web-service/mock~Handler} handler
+   * @returns {object} `this`
+   */
+  route(method, path, handler)
+  {
+    const placeholder = this.getPlaceholders(path);
+    const route = placeholder
+      ? placeholder.compile(path)
+      : {regex: null, params: []};
+
+    this._routes.push(
+    {
+      method: method.toUpperCase(),
+      path,
+      placeholder,
+      route,
+      handler,
+    });
+
+    return this;
+  }
+
+  /**
+   * Get the placeholder rule for a path template.
+   * @protected
+   * @param {string} path
+   * @returns {?module:@lumjs/web-service/placeholder}
+   */
+  getPlaceholders(path)
+  {
+    if (this.options.placeholders instanceof Placeholder)
+    {
+      return this.options.placeholders;
+    }
+
+    for (const pid in PLACEHOLDERS)
+    {
+      const placeholder = PLACEHOLDERS[pid];
+      if (placeholder.test(path))
+      {
+        return placeholder;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the handler for a request.
+   * @protected
+   * @param {Request} request
+   * @param {URL} url
+   * @param {?module:@lumjs/web-service/methodcall} methodCall
+   * @returns {?object} Will have `handler` and `vars` properties,
+   * or will be `null` if nothing matched.
+   */
+  findHandler(request, url, methodCall)
+  {
+    if (methodCall && this._byName[methodCall.name] !== undefined)
+    { // Extract the vars using the MethodCall's own path template.
+      const vars = methodCall.matchPath(url.pathname);
+      return {handler: this._byName[methodCall.name], vars: vars ?? {}};
+    }
+
+    for (const def of this._routes)
+    {
+      if (def.method !== ANY && def.method !== request.method) continue;
+
+      if (def.placeholder)
+      {
+        const vars = def.placeholder.match(def.route, url.pathname);
+        if (vars)
+        {
+          return {handler: def.handler, vars};
+        }
+      }
+      else if (def.path === url.pathname)
+      {
+        return {handler: def.handler, vars: {}};
+      }
+    }
+
+    if (this.options.fallback !== undefined)
+    {
+      return {handler: this.options.fallback, vars: {}};
+    }
+
+    return null;
+  }
+
+  async send(request, methodCall)
+  {
+    const url = new URL(request.url);
+    const found = this.findHandler(request, url, methodCall);
+
+    const call =
+    {
+      name:    methodCall ? methodCall.name : null,
+      method:  request.method,
+      url:     request.url,
+      vars:    found ? found.vars : {},
+      query:   queryString.parse(url,
+        {format: methodCall ? methodCall.queryFormat : undefined}),
+      request: request.clone(),
+      response: null,
+    }
+
+    this.history.push(call);
+
+    if (!found)
+    {
+      throw new Error(`No mock response for ${request.method} ${request.url}`);
+    }
+
+    let spec = found.handler;
+    if (typeof spec === F)
+    {
+      spec = await spec(
+      {
+        request,
+        methodCall,
+        url,
+        vars: call.vars,
+        query: call.query,
+      });
+    }
+
+    const response = await this.makeResponse(spec, request.signal);
+    call.response = response.clone();
+    return response;
+  }
+
+  /**
+   * Build a `Response` from a response spec.
+   * 
+   * @protected
+   * @param {*} spec - See {@link module:@lumjs/web-service/mock~Handler}
+   * @param {AbortSignal} [signal] Signal to abort any delay.
+   * @returns {Promise<Response>}
+   */
+  async makeResponse(spec, signal)
+  {
+    if (spec instanceof Response)
+    {
+      spec = {response: spec};
+    }
+    else if (!isSpec(spec))
+    { // Not a spec, just the response body.
+      spec = {body: spec};
+    }
+
+    const delay = spec.delay ?? this.options.delay ?? 0;
+    if (typeof delay === N && delay > 0)
+    {
+      await wait(delay, signal);
+    }
+
+    if (spec.error)
+    { // Simulate a network error.
+      throw (spec.error instanceof Error)
+        ? spec.error
+        : new TypeError("Mock network error");
+    }
+
+    if (spec.response instanceof Response)
+    { // A clone, so the same handler can respond more than once.
+      return spec.response.clone();
+    }
+
+    const headers = new Headers(spec.headers);
+    let body = spec.body ?? null;
+
+    if (body !== null && !isBodyInit(body))
+    { // Anything else is sent as JSON.
+      body = JSON.stringify(body);
+      if (!headers.has(CT))
+      {
+        headers.set(CT, MIME.JSON);
+      }
+    }
+
+    return new Response(body,
+    {
+      status: spec.status ?? 200,
+      statusText: spec.statusText ?? '',
+      headers,
+    });
+  }
+
+  /**
+   * Get recorded calls.
+   * 
+   * @param {string} [name] Only calls from the `MethodCall` with this name.
+   * 
+   * If omitted, all calls will be returned.
+   * 
+   * @returns {module:@lumjs/web-service/mock~Call[]}
+   */
+  calls(name)
+  {
+    if (name === undefined)
+    {
+      return this.history.slice();
+    }
+    return this.history.filter(call => call.name === name);
+  }
+
+  /**
+   * Get the most recent recorded call.
+   * 
+   * @param {string} [name] Only calls from the `MethodCall` with this name.
+   * @returns {?module:@lumjs/web-service/mock~Call}
+   */
+  lastCall(name)
+  {
+    const calls = this.calls(name);
+    return calls.length > 0 ? calls[calls.length-1] : null;
+  }
+
+  /**
+   * Assert that calls have been made.
+   * 
+   * @param {string} [name] Only calls from the `MethodCall` with this name.
+   * @param {number} [count] The exact number of calls expected.
+   * 
+   * If omitted, asserts there was at least one call.
+   * 
+   * @returns {object} `this`
+   * @throws {Error} If the assertion failed.
+   */
+  assertCalled(name, count)
+  {
+    const actual = this.calls(name).length;
+    const label = (name === undefined) ? 'any method' : name;
+
+    if (count === undefined ? actual === 0 : actual !== count)
+    {
+      const expected = (count === undefined) ? 'at least 1' : count;
+      throw new Error(
+        `Expected ${expected} call(s) to ${label}, but got ${actual}`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Clear the recorded calls.
+   * 
+   * @param {boolean} [handlers=false] Also remove all registered responses?
+   * @returns {object} `this`
+   */
+  reset(handlers=false)
+  {
+    this.history = [];
+    if (handlers)
+    {
+      this._byName = {};
+      this._routes = [];
+    }
+    return this;
+  }
+}
+
+module.exports = MockTransport;
+
+/**
+ * A mock response handler.
+ * 
+ * May be any of the following:
+ * 
+ * - A `function` which will be passed an object with `request`,
+ *   `methodCall`, `url`, `vars`, and `query` properties, and may return
+ *   (or resolve to) any of the other values in this list.
+ * - A `Response` object; a clone of it will be returned for each request.
+ * - A response spec `object` with one or more of the following properties:
+ *   - `status`: The status code (default `200`).
+ *   - `statusText`: The status text.
+ *   - `headers`: Response headers.
+ *   - `body`: Response body; anything that `new Response()` doesn't support
+ *     directly will be serialized as JSON.
+ *   - `delay`: Milliseconds to wait before responding.
+ *   - `error`: If set, reject with this (or a generic `TypeError`)
+ *     to simulate a network error.
+ *   - `response`: A `Response` object to clone (after any `delay`).
+ * - Anything else will be used as the `body` of a response spec.
+ * 
+ * Note that a plain object body that happens to have any of the response
+ * spec properties must be wrapped in a spec (i.e. `{body: obj}`).
+ * 
+ * @typedef {*} module:@lumjs/web-service/mock~Handler
+ */
+
+/**
+ * A recorded call.
+ * 
+ * @typedef {object} module:@lumjs/web-service/mock~Call
+ * @prop {?string} name - The `name` of the MethodCall (if known).
+ * @prop {string} method - The HTTP method.
+ * @prop {string} url - The full request URL.
+ * @prop {object} vars - Placeholder variables extracted from the path.
+ * 
+ * @prop {object} query - Query string parameters.
+ * @prop {Request} request - A clone of the request.
+ * @prop {?Response} response - A clone of the response.
+ */
@@ -0,0 +1,579 @@
+/**
+ * OpenAPI 3 support
+ * @module @lumjs/web-service/openapi
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {F,S,isObj} = core.types;
+
+const {PLACEHOLDERS,STANDARD_HTTP,MIME} = require('./defs');
+const UriTemplate = require('./uritemplate');
+
+/**
+ * The operation keys supported in an OpenAPI Path Item.
+ * @alias module:@lumjs/web-service/openapi.OPERATIONS
+ * @type {string[]}
+ */
+const OPERATIONS =
+  ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const SUCCESS = /^2(\d\d|XX)$/i;
+const PATH_SEP = /\/+/g;
+
+/**
+ * Resolve a local `$ref` in an OpenAPI document.
+ * 
+ * Only references within the same document (starting with `#/`)
+ * are supported; anything else is returned as-is.
+ * 
+ * @alias module:@lumjs/web-service/openapi.resolveRef
+ * @param {object} spec - The full OpenAPI document.
+ * @param {object} obj - An object which may be a Reference Object.
+ * @returns {object} The referenced object (or `obj` itself).
+ */
+function resolveRef(spec, obj)
+{
+  const seen = new Set();
+
+  while (isObj(obj) && typeof obj.$ref === S && obj.$ref.startsWith('#/'))
+  {
+    if (seen.has(obj.$ref))
+    {
+      throw new RangeError("Circular $ref: "+obj.$ref);
+    }
+    seen.add(obj.$ref);
+
+    let target = spec;
+    for (let key of obj.$ref.substring(2).split('/'))
+    {
+      key = key.replaceAll('~1', '/').replaceAll('~0', '~');
+      target = isObj(target) ? target[key] : undefined;
+    }
+
+    if (target === undefined)
+    {
+      throw new RangeError("Unresolved $ref: "+obj.$ref);
+    }
+
+    obj = target;
+  }
+
+  return obj;
+}
+
+// Pick the preferred media type from a Content map.
+function pickMediaType(content)
+{
+  if (!isObj(content))
+  {
+    return null;
+  }
+
+  const types = Object.keys(content);
+  if (types.length === 0)
+  {
+    return null;
+  }
+
+  return types.includes(MIME.JSON) ? MIME.JSON : types[0];
+}
+
+function ucfirst(str)
+{
+  return str.charAt(0).toUpperCase() + str.substring(1);
+}
+
+function camelWords(str)
+{
+  return str.split(/[^A-Za-z0-9]+/).filter(w => w !== '').map(ucfirst).join('');
+}
+
+/**
+ * Generate a name for an operation without an `operationId`.
+ * 
+ * The name is built from the HTTP method and the path, so it will be
+ * the same every time the same document is imported.
+ * 
+ * For example `GET /docs/{docId}/revisions` becomes
+ * `getDocsByDocIdRevisions`.
+ * 
+ * @alias module:@lumjs/web-service/openapi.operationName
+ * @param {string} method - The HTTP method (any case).
+ * @param {string} path - The OpenAPI path template.
+ * @returns {string}
+ */
+function operationName(method, path)
+{
+  let name = method.toLowerCase();
+
+  for (const segment of path.split('/'))
+  {
+    const param = /^\{(.+)\}$/.exec(segment);
+    if (param)
+    {
+      name += 'By' + camelWords(param[1]);
+    }
+    else
+    {
+      name += camelWords(segment);
+    }
+  }
+
+  return name;
+}
+
+/**
+ * Get the base path from the `servers` of an OpenAPI document.
+ * 
+ * Any server variables will be replaced with their default values.
+ * 
+ * @alias module:@lumjs/web-service/openapi.serverPath
+ * @param {object} spec - The OpenAPI document.
+ * @param {number} [index=0] Which server to use.
+ * @returns {?string} The server URL, or `null` if there are no servers.
+ */
+function serverPath(spec, index=0)
+{
+  const server = Array.isArray(spec.servers) ? spec.servers[index] : null;
+  if (!isObj(server) || typeof server.url !== S)
+  {
+    return null;
+  }
+
+  const vars = isObj(server.variables) ? server.variables : {};
+  return server.url.replace(/\{([^}]+)\}/g, (match, name) =>
+    (isObj(vars[name]) && vars[name].default !== undefined)
+      ? vars[name].default
+      : match);
+}
+
+/**
+ * Add method calls for every operation in an OpenAPI document.
+ * 
+ * You probably want to use `Builder.fromOpenAPI()` rather than
+ * calling this directly.
+ * 
+ * @alias module:@lumjs/web-service/openapi.importSpec
+ * 
+ * @param {module:@lumjs/web-service/builder} builder - Builder to add to.
+ * @param {object} spec - An OpenAPI 3.x document (as a JSON object).
+ * @param {object} [options] Options.
+ * @param {number} [options.server=0] Index of `servers` for the base path.
+ * @param {?string} [options.basePath] Use this base path instead
+ * of the one from `servers`; set to `null` to not set a base path.
+ * @param {function} [options.onSkip] Called for each operation skipped.
+ * 
+ * Any `trace` operations will be skipped, as the Fetch API does not allow
+ * the `TRACE` method. This will be passed an object with `path`, `oper`
+ * (the Path Item property name), and `reason` properties for each one.
+ * 
+ * @returns {module:@lumjs/web-service/builder} `builder`
+ * 
+ * @throws {TypeError} If `spec` is not an OpenAPI 3.x document.
+ */
+function importSpec(builder, spec, options={})
+{
+  if (!isObj(spec) || typeof spec.openapi !== S || !spec.openapi.startsWith('3.'))
+  {
+    throw new TypeError("Not an OpenAPI 3.x document");
+  }
+
+  const basePath = (options.basePath !== undefined)
+    ? options.basePath
+    : serverPath(spec, options.server);
+
+  if (typeof basePath === S)
+  {
+    builder.path(basePath);
+  }
+
+  // OpenAPI path templates always use braces.
+  builder.useVars(PLACEHOLDERS.BRACES);
+
+  const names = new Set();
+  const paths = isObj(spec.paths) ? spec.paths : {};
+
+  for (const path in paths)
+  {
+    const pathItem = resolveRef(spec, paths[path]);
+    if (!isObj(pathItem)) continue;
+
+    for (const oper of OPERATIONS)
+    {
+      const op = pathItem[oper];
+      if (!isObj(op)) continue;
+
+      const httpMethod = oper.toUpperCase();
+      if (STANDARD_HTTP[httpMethod] === undefined)
+      { // Only TRACE, which the Fetch API refuses to send.
+        if (typeof options.onSkip === F)
+        {
+          options.onSkip({path, oper, reason: "Unsupported HTTP method"});
+        }
+        continue;
+      }
+
+      let name = (typeof op.operationId === S && op.operationId !== '')
+        ? op.operationId
+        : operationName(oper, path);
+
+      if (names.has(name))
+      { // Keep the names unique.
+        let num = 2;
+        while (names.has(name+num)) num++;
+        name += num;
+      }
+      names.add(name);
+
+      const mcOpts = {};
+
+      const reqBody = resolveRef(spec, op.requestBody);
+      const ctype = isObj(reqBody) ? pickMediaType(reqBody.content) : null;
+      if (ctype)
+      {
+        mcOpts.contentType = ctype;
+      }
+
+      const responses = isObj(op.responses) ? op.responses : {};
+      for (const status in responses)
+      {
+        if (!SUCCESS.test(status)) continue;
+        const res = resolveRef(spec, responses[status]);
+        const atype = isObj(res) ? pickMediaType(res.content) : null;
+        if (atype)
+        {
+          mcOpts.acceptType = atype;
+          break;
+        }
+      }
+
+      builder.add(name, path, httpMethod, mcOpts);
+    }
+  }
+
+  return builder;
+}
+
+// JSON Schema for each of the default placeholder types.
+const PARAM_SCHEMAS =
+{
+  int:    {type: 'integer'},
+  number: {type: 'number'},
+  bool:   {type: 'boolean'},
+  uuid:   {type: 'string', format: 'uuid'},
+  slug:   {type: 'string', pattern: '^[\\w-]+$'},
+}
+
+// Convert a placeholder into part of an OpenAPI path template.
+function templatePart(info, found)
+{
+  if (Array.isArray(info.vars))
+  { // A URI Template expression.
+    const op = UriTemplate.OPERATORS[info.operator];
+    if (info.operator === '?' || info.operator === '&')
+    { // Query variables aren't path parameters.
+      for (const spec of info.vars)
+      {
+        found.query.push(spec.name);
+        found.schemas[spec.name] = {type: 'string'};
+      }
+      return null;
+    }
+
+    const names = info.vars.map(spec => spec.name);
+    for (const spec of info.vars)
+    {
+      found.params.push(spec.name);
+      found.schemas[spec.name] = {type: 'string'};
+      if (op.named)
+      { // OpenAPI uses the matrix style for path-style parameters.
+        found.styles[spec.name] = {style: 'matrix', explode: spec.explode};
+      }
+    }
+
+    const text = op.named
+      ? names.map(name => '{'+name+'}').join('')
+      : op.first + names.map(name => '{'+name+'}').join(op.sep);
+
+    // Simple expressions are always needed to fill their path segment.
+    const optional = (op.first !== '' || op.named);
+    return {text, names, optional, trimSep: false};
+  }
+
+  found.params.push(info.name);
+  found.schemas[info.name] = Object.assign({},
+    PARAM_SCHEMAS[info.type] ?? {type: 'string'});
+
+  return {
+    text:     '{'+info.name+'}',
+    names:    [info.name],
+    optional: info.optional,
+    trimSep:  info.optional, // The separator is optional too.
+  };
+}
+
+// Build the path for each combination of optional placeholders.
+function pathVariants(parts)
+{
+  const optional = parts.filter(part => isObj(part) && part.optional);
+  const count = Math.pow(2, optional.length);
+  const variants = [], shapes = new Set();
+
+  for (let mask = 0; mask < count; mask++)
+  { // Later placeholders are left out first.
+    const without = optional.filter((part, i) =>
+      (mask & (1 << (optional.length-1-i))) !== 0);
+
+    let path = '';
+    const params = [];
+    for (const part of parts)
+    {
+      if (!isObj(part))
+      {
+        path += part;
+      }
+      else if (without.includes(part))
+      {
+        if (part.trimSep && path.endsWith('/'))
+        {
+          path = path.substring(0, path.length-1);
+        }
+      }
+      else
+      {
+        path += part.text;
+        params.push(...part.names);
+      }
+    }
+
+    if (path === '')
+    {
+      path = '/';
+    }
+
+    // Paths only differing by parameter names would be ambiguous.
+    const shape = path.replace(/\{[^}]*\}/g, '{}');
+    if (shapes.has(shape)) continue;
+    shapes.add(shape);
+
+    variants.push(
+    {
+      path,
+      params,
+      without: without.flatMap(part => part.names),
+    });
+  }
+
+  return variants;
+}
+
+/**
+ * Convert a MethodCall path into an OpenAPI path template.
+ * 
+ * @alias module:@lumjs/web-service/openapi.pathTemplate
+ * @param {module:@lumjs/web-service/methodcall} methodCall
+ * @returns {object} A plain object with six properties.
+ * 
+ * - `path` is the path template (not including the `basePath`).
+ * - `params` is an array of the placeholder variable names.
+ * - `query` is an array of variable names from URI Template query
+ *   expressions (e.g. `{?page,limit}`), which aren't part of the path.
+ * - `schemas` is an object with a JSON Schema for each of the `params`
+ *   and `query` variables, based on the placeholder type (`string` if it
+ *   had no known type).
+ * - `styles` is an object with extra Parameter Object properties for
+ *   any `params` that need them (such as URI Template `{;x}` expressions,
+ *   which use the `matrix` style).
+ * - `variants` is an array of objects (with `path`, `params`, and `without`
+ *   properties) for each combination of optional placeholders being
+ *   left out, as OpenAPI path parameters are always required. The first
+ *   variant is the full `path`, and `without` lists the variable names
+ *   left out of the others. Variants which would only differ by the names
+ *   of their parameters are skipped.
+ */
+function pathTemplate(methodCall)
+{
+  const path = ('/' + methodCall.path).replaceAll(PATH_SEP, '/');
+  const placeholder = methodCall.getPlaceholders(path);
+  const found = {params: [], query: [], schemas: {}, styles: {}};
+
+  if (!placeholder)
+  {
+    const variants = [{path, params: [], without: []}];
+    return Object.assign({path, variants}, found);
+  }
+
+  // The literal text between each of the placeholders.
+  const parts = [];
+  let last = 0;
+
+  for (const match of path.matchAll(placeholder.pattern))
+  {
+    parts.push(path.substring(last, match.index));
+    const part = templatePart(placeholder.info(match), found);
+    if (part)
+    {
+      parts.push(part);
+    }
+    last = match.index + match[0].length;
+  }
+
+  parts.push(path.substring(last));
+
+  const variants = pathVariants(parts);
+  return Object.assign({path: variants[0].path, variants}, found);
+}
+
+// Build a Media Type map for a MIME type.
+function mediaTypes(type)
+{
+  return {[(typeof type === S && type.trim() !== '') ? type : '*/*']: {}};
+}
+
+// Build an Operation Object for a method call.
+function exportOperation(mc, rules, operationId, parameters)
+{
+  const op = {operationId};
+
+  if (parameters.length > 0)
+  {
+    op.parameters = parameters;
+  }
+
+  if (rules.requestBody !== false)
+  {
+    op.requestBody =
+    {
+      required: (rules.requestBody === true),
+      content: mediaTypes(mc.contentType),
+    }
+  }
+
+  const response = {description: 'Default response'};
+  if (rules.responseBody !== false)
+  {
+    let atype = mc.acceptType;
+    if (atype === true)
+    {
+      atype = mc.contentType;
+    }
+    response.content = mediaTypes(atype);
+  }
+  op.responses = {default: response};
+
+  return op;
+}
+
+/**
+ * Build an OpenAPI 3.x document from a Webservice.
+ * 
+ * You can also use `ws._toOpenAPI()` which calls this.
+ * 
+ * - Paths are converted from the placeholder style used by each
+ *   method call to OpenAPI path templates, and the placeholders are
+ *   listed as required path parameters (with a schema matching the
+ *   placeholder type if it has one).
+ * - As OpenAPI path parameters are always required, a method call with
+ *   optional placeholders (e.g. `/docs/{id}/{rev?}`) is exported as one
+ *   operation for each path variant (see `pathTemplate()`).
+ * - Variables from URI Template query expressions (e.g. `{?page,limit}`)
+ *   are listed as optional query parameters.
+ * - Operations use the `name` of the method call as the `operationId`.
+ *   Any other variants add the names of the placeholders they leave out,
+ *   e.g. `getDocWithoutRev`.
+ * - Request bodies are included if the `HttpRules` say the method
+ *   has a mandatory (`true`) or optional (`null`) request body,
+ *   using the `contentType` option as the media type.
+ * - The `acceptType` option is used as the media type of the
+ *   default response, unless the `HttpRules` forbid a response body.
+ * - Custom HTTP methods that OpenAPI does not support are added to the
+ *   Path Item as extensions, e.g. `UNDELETE` would be `x-undelete`.
+ * 
+ * @alias module:@lumjs/web-service/openapi.exportSpec
+ * 
+ * @param {module:@lumjs/web-service/webservice} ws - Service to export.
+ * @param {object} [options] Options.
+ * @param {object} [options.info] The Info Object for the document.
+ * 
+ * Defaults to using `ws._id` as the `title` and `1.0.0` as the `version`.
+ * 
+ * @param {string} [options.openapi='3.0.3'] OpenAPI version to report.
+ * @param {function} [options.onSkip] Called for each operation skipped.
+ * 
+ * OpenAPI only allows one operation per HTTP method and path, so any
+ * method call (or path variant) that would duplicate an earlier one is
+ * skipped. This will be passed an object with `path`, `oper` (the Path
+ * Item property name), `name` (the method call), and `reason` properties
+ * for each one.
+ * 
+ * @returns {object} The OpenAPI document (as a JSON object).
+ */
+function exportSpec(ws, options={})
+{
+  const spec =
+  {
+    openapi: options.openapi ?? '3.0.3',
+    info: options.info ?? {title: ws._id, version: '1.0.0'},
+    paths: {},
+  }
+
+  if (ws._options.basePath)
+  {
+    spec.servers = [{url: ws._options.basePath}];
+  }
+
+  for (const name in ws._methodCalls)
+  {
+    const mc = ws._methodCalls[name];
+    const rules = mc.httpMethods[mc.http] ?? {};
+    const {variants, query, schemas, styles} = pathTemplate(mc);
+
+    const opKey = OPERATIONS.includes(mc.http.toLowerCase())
+      ? mc.http.toLowerCase()
+      : 'x-' + mc.http.toLowerCase();
+
+    for (const variant of variants)
+    {
+      const {path, params, without} = variant;
+      const pathItem = spec.paths[path] ?? (spec.paths[path] = {});
+      if (pathItem[opKey] !== undefined)
+      { // OpenAPI can only have one operation per method and path.
+        if (typeof options.onSkip === F)
+        {
+          const reason = "Duplicate operation";
+          options.onSkip({path, oper: opKey, name, reason});
+        }
+        continue;
+      }
+
+      // Every operation needs a unique ID, e.g. `getDocWithoutRev`.
+      const opId = (without.length > 0)
+        ? name + 'Without' + without.map(param =>
+          param[0].toUpperCase() + param.substring(1)).join('')
+        : name;
+      const parameters = params.map(param => Object.assign(
+      {
+        name: param,
+        in: 'path',
+        required: true,
+        schema: schemas[param],
+      }, styles[param]));
+
+      for (const param of query)
+      {
+        parameters.push({name: param, in: 'query', schema: schemas[param]});
+      }
+
+      pathItem[opKey] = exportOperation(mc, rules, opId, parameters);
+    }
+  }
+
+  return spec;
+}
+
+module.exports =
+{
+  OPERATIONS, importSpec, exportSpec, operationName, 
+  pathTemplate, resolveRef, serverPath,
+}
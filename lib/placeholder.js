@@ -1,5 +1,42 @@
 "use strict";
 
+const REGEX_CHARS = /[.*+?^${}()|[\]\\]/g;
+
+function escapeRegExp(str)
+{
+  return str.replace(REGEX_CHARS, '\\$&');
+}
+
+/**
+ * The default placeholder variable types.
+ * 
+ * Each type has a `regex` property with a RegExp source string that
+ * valid values must match, and an optional `parse` function used to
+ * convert matched path values (see `match()`) into native values.
+ * 
+ * - `string` → Any value that doesn't contain a `/`.
+ * - `int`    → An integer (optionally negative).
+ * - `number` → A number with an optional decimal part.
+ * - `bool`   → `true`, `false`, `1`, or `0`.
+ * - `uuid`   → A UUID in the standard hexadecimal format.
+ * - `slug`   → Letters, numbers, underscores, and dashes.
+ * 
+ * @alias module:@lumjs/web-service/placeholder.TYPES
+ */
+const TYPES =
+{
+  string: {regex: '[^/]+'},
+  int:    {regex: '-?\\d+', parse: Number},
+  number: {regex: '-?\\d+(?:\\.\\d+)?', parse: Number},
+  bool:   {regex: 'true|false|1|0', parse: v => (v === 'true' || v === '1')},
+  uuid:
+  {
+    regex: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}'
+      + '-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+  },
+  slug:   {regex: '[\\w-]+'},
+}
+
 /**
  * A URL path placeholder rule.
  * 
@@ -20,11 +57,33 @@
  * 
  * @prop {number} param - Pattern parameter offset.
  * 
- * This refers to the RegExp capture group offset for the 
+ * This refers to the RegExp capture group offset for the
  * placeholder parameter name. Remember that `0` is always
- * the full pattern match, so the `param` offset should 
+ * the full pattern match, so the `param` offset should
  * always be `1` or higher.
  * 
+ * @prop {object} groups - All of the capture group offsets.
+ * 
+ * - `param`    → Same as the `param` property.
+ * - `type`     → The name of the variable type (e.g. `int`).
+ * - `wildcard` → If matched (e.g. `*`), the variable may span
+ *   multiple path segments.
+ * - `optional` → If matched (e.g. `?`), the variable is optional.
+ * - `default`  → If matched, the default value for the variable
+ *   (which makes the variable optional as well).
+ * 
+ * Any offsets other than `param` are optional, and if not set
+ * the features they represent are not supported by the rule.
+ * 
+ * @prop {boolean} encode - Encode values when expanding paths?
+ * 
+ * @prop {boolean} encodeWildcards - Encode wildcard values when
+ * expanding paths?
+ * 
+ * @prop {object} types - Supported variable types.
+ * 
+ * See {@link module:@lumjs/web-service/placeholder.TYPES} for details.
+ * 
  */
 class WebservicePathPlaceholder
 {
@@ -32,19 +91,347 @@ class WebservicePathPlaceholder
    * Build a placeholder rule.
    * 
    * @param {RegExp} pattern - The pattern to match.
-   * @param {number} [param=1] The parameter offset.
+   * @param {(number|object)} [param=1] The parameter offset.
+   * 
+   * If this is an `object`, it will be used as the `groups` property,
+   * and its `param` property (default `1`) will be the `param` offset.
+   * 
+   * @param {object} [options] Further options.
+   * 
+   * @param {boolean} [options.encode=true] Sets `encode` property.
+   * 
+   * If `true`, then values will be encoded with `encodeURIComponent()`
+   * when expanding paths.
+   * 
+   * @param {boolean} [options.encodeWildcards] Sets `encodeWildcards`.
+   * 
+   * Defaults to the value of `options.encode`. If `true`, wildcard
+   * variables have each path segment encoded separately so the `/`
+   * separators are kept. If `false`, wildcard values are used as-is,
+   * which is useful if they are already encoded.
+   * 
+   * @param {object} [options.types] Extra variable types to support.
+   * 
+   * Will be merged with the default `TYPES` to set the `types` property.
    * 
    */
-  constructor(pattern, param=1)
+  constructor(pattern, param=1, options={})
   {
     if (!(pattern instanceof RegExp))
     {
       throw new TypeError("Invalid pattern, must be RegExp");
     }
 
+    const groups = (typeof param === 'object' && param !== null)
+      ? Object.assign({param: 1}, param)
+      : {param};
+
     this.pattern = pattern;
-    this.param   = param;
+    this.param   = groups.param;
+    this.groups  = groups;
+    this.encode  = options.encode ?? true;
+    this.encodeWildcards = options.encodeWildcards ?? this.encode;
+    this.types   = Object.assign({}, TYPES, options.types);
+  }
+
+  /**
+   * Get information about a placeholder from a pattern match.
+   * 
+   * @param {Array} match - The match (or the arguments passed to a
+   * `replace()` callback function).
+   * 
+   * @returns {module:@lumjs/web-service/placeholder~Info}
+   */
+  info(match)
+  {
+    const g = this.groups;
+    const def = (g.default ? match[g.default] : undefined) ?? null;
+    return {
+      name:     match[g.param],
+      type:     (g.type     ? match[g.type]      : undefined) || null,
+      wildcard: (g.wildcard ? !!match[g.wildcard] : false),
+      optional: (g.optional ? !!match[g.optional] : false) || def !== null,
+      default:  def,
+    };
+  }
+
+  /**
+   * Get the type definition for a placeholder.
+   * 
+   * @param {module:@lumjs/web-service/placeholder~Info} info
+   * @returns {?object} Will be `null` if the placeholder has no type.
+   * @throws {RangeError} If the type is not supported.
+   */
+  getType(info)
+  {
+    if (!info.type)
+    {
+      return null;
+    }
+
+    const typeDef = this.types[info.type];
+    if (!typeDef)
+    {
+      throw new RangeError(`Unknown placeholder type '${info.type}'`);
+    }
+
+    return typeDef;
+  }
+
+  /**
+   * See if a path uses this placeholder style.
+   * 
+   * @param {string} path - The path to test.
+   * @returns {boolean}
+   */
+  test(path)
+  {
+    return (path.search(this.pattern) !== -1);
+  }
+
+  /**
+   * Check if a value is valid for a placeholder.
+   * 
+   * @param {module:@lumjs/web-service/placeholder~Info} info
+   * @param {*} value - The value to check.
+   * @returns {boolean}
+   */
+  isValid(info, value)
+  {
+    const typeDef = this.getType(info);
+    if (!typeDef)
+    {
+      return true;
+    }
+
+    const test = new RegExp('^(?:'+typeDef.regex+')$');
+    const values = info.wildcard ? segments(value) : [value];
+    return values.every(val => test.test(String(val)));
+  }
+
+  /**
+   * Format a value for use in a path.
+   * 
+   * @param {module:@lumjs/web-service/placeholder~Info} info
+   * @param {*} value - The value to format.
+   * @returns {string}
+   */
+  format(info, value)
+  {
+    if (info.wildcard)
+    {
+      const enc = this.encodeWildcards ? encodeURIComponent : String;
+      return segments(value).map(enc).join('/');
+    }
+
+    return this.encode ? encodeURIComponent(value) : String(value);
+  }
+
+  /**
+   * Expand the placeholders in a path.
+   * 
+   * @param {string} path - The path template.
+   * @param {object} data - The variable values.
+   * @param {boolean} [removeUsed=false] Remove used variables from `data`?
+   * 
+   * @returns {object} A plain object with three properties.
+   * 
+   * - `path` is the expanded path.
+   * - `missing` is an array of variable names not found in `data`.
+   *   Optional variables are never missing; if they have a default value
+   *   it will be used, otherwise the placeholder will be removed from
+   *   the path along with the `/` before it (if there was one).
+   * - `invalid` is an array of `{name, type, value}` objects for variables
+   *   which had values that did not match their type.
+   */
+  expand(path, data, removeUsed=false)
+  {
+    const missing = [], invalid = [], used = [];
+    let expanded = '', last = 0;
+
+    for (const match of path.matchAll(this.pattern))
+    {
+      const info = this.info(match);
+      let value = data[info.name];
+
+      expanded += path.substring(last, match.index);
+      last = match.index + match[0].length;
+
+      if (value === undefined)
+      {
+        if (info.default !== null)
+        {
+          value = info.default;
+        }
+        else if (info.optional)
+        { // Drop the segment, including the separator.
+          if (expanded.endsWith('/'))
+          {
+            expanded = expanded.substring(0, expanded.length-1);
+          }
+          continue;
+        }
+        else
+        {
+          missing.push(info.name);
+          continue;
+        }
+      }
+      else
+      {
+        used.push(info.name);
+      }
+
+      if (!this.isValid(info, value))
+      {
+        invalid.push({name: info.name, type: info.type, value});
+        continue;
+      }
+
+      expanded += this.format(info, value);
+    }
+
+    expanded += path.substring(last);
+
+    if (removeUsed)
+    {
+      for (const name of used)
+      {
+        delete data[name];
+      }
+    }
+
+    return {path: expanded, missing, invalid};
+  }
+
+  /**
+   * Compile a path template into a route for matching paths.
+   * 
+   * @param {string} path - The path template (e.g. `/docs/{docId}`).
+   * 
+   * @returns {module:@lumjs/web-service/placeholder~Route}
+   */
+  compile(path)
+  {
+    const params = [], vars = [];
+    let source = '', last = 0;
+
+    for (const match of path.matchAll(this.pattern))
+    {
+      const info = this.info(match);
+      const typeDef = this.getType(info);
+      const segment = typeDef ? typeDef.regex : '[^/]+';
+
+      let literal = path.substring(last, match.index);
+      let capture = info.wildcard
+        ? `((?:${segment})(?:/(?:${segment}))*)`
+        : `(${segment})`;
+
+      if (info.optional)
+      {
+        if (literal.endsWith('/'))
+        { // The separator is optional too.
+          literal = literal.substring(0, literal.length-1);
+          capture = `(?:/${capture})?`;
+        }
+        else
+        {
+          capture += '?';
+        }
+      }
+
+      source += escapeRegExp(literal) + capture;
+
+      params.push(info.name);
+      vars.push(info);
+      last = match.index + match[0].length;
+    }
+
+    source += escapeRegExp(path.substring(last));
+
+    return {regex: new RegExp('^'+source+'$'), params, vars};
+  }
+
+  /**
+   * Match a path against a path template.
+   * 
+   * @param {(string|module:@lumjs/web-service/placeholder~Route)} template
+   * 
+   * Either a path template, or a route returned from `compile()`.
+   * 
+   * @param {string} path - The actual path to match (e.g. `/docs/123`).
+   * 
+   * @returns {?object} If the path matched, this will be an object
+   * where each property is a placeholder variable from the template,
+   * and the value is the (URL decoded) value from the path.
+   * 
+   * Variables with a type that has a `parse` function will be converted
+   * (e.g. `int` values will be numbers). Wildcard variables will be
+   * an array of the decoded path segments. Optional variables that were
+   * not in the path will use their default value, or be omitted if they
+   * have no default value.
+   * 
+   * If the path did not match, this will be `null`.
+   */
+  match(template, path)
+  {
+    const route
+      = (typeof template === 'string')
+      ? this.compile(template)
+      : template;
+
+    const matched = route.regex.exec(path);
+    if (!matched)
+    {
+      return null;
+    }
+
+    const vars = {};
+    route.vars.forEach((info, index) =>
+    {
+      const typeDef = this.getType(info);
+      const parse = (typeDef && typeDef.parse)
+        ? (val) => typeDef.parse(decodeURIComponent(val))
+        : decodeURIComponent;
+      const raw = matched[index+1] ?? info.default;
+      if (raw === null) return; // An optional variable not in the path.
+      vars[info.name] = info.wildcard
+        ? raw.split('/').map(parse)
+        : parse(raw);
+    });
+
+    return vars;
   }
 }
 
+// Get the path segments for a wildcard value.
+function segments(value)
+{
+  return Array.isArray(value) ? value : String(value).split('/');
+}
+
+WebservicePathPlaceholder.TYPES = TYPES;
+
 module.exports = WebservicePathPlaceholder;
+
+/**
+ * Information about a placeholder found in a path template.
+ * 
+ * @typedef {object} module:@lumjs/web-service/placeholder~Info
+ * @prop {string} name - The variable name.
+ * @prop {?string} type - The variable type (if specified).
+ * @prop {boolean} wildcard - Is this a wildcard variable?
+ * @prop {boolean} optional - Is this an optional variable?
+ * @prop {?string} default - The default value (if specified).
+ */
+
+/**
+ * A compiled path template.
+ * 
+ * @typedef {object} module:@lumjs/web-service/placeholder~Route
+ * @prop {RegExp} regex - Pattern matching the full path.
+ * @prop {string[]} params - Placeholder names in the order they appear.
+ * @prop {Array} vars - Placeholder info in the order they appear.
+ * 
+ * See {@link module:@lumjs/web-service/placeholder~Info} for the format.
+ */
@@ -0,0 +1,321 @@
+/**
+ * Query string serialization and parsing
+ * @module @lumjs/web-service/query
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,isObj} = core.types;
+
+/**
+ * Supported formats for array values.
+ * 
+ * - `repeat`   → `a=1&a=2` (the default).
+ * - `brackets` → `a[]=1&a[]=2`
+ * - `indices`  → `a[0]=1&a[1]=2`
+ * - `comma`    → `a=1,2`
+ * 
+ * Nested objects always use brackets, e.g. `filter[status]=open`.
+ * 
+ * @alias module:@lumjs/web-service/query.FORMATS
+ * @type {string[]}
+ */
+const FORMATS = ['repeat', 'brackets', 'indices', 'comma'];
+
+// Keys that must never be assigned when parsing.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const KEY_PARTS = /^([^\[\]]+)((?:\[[^\[\]]*\])*)$/;
+const BRACKETS = /\[([^\[\]]*)\]/g;
+const INDEX = /^\d+$/;
+
+function isPlain(value)
+{
+  if (!isObj(value) || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null);
+}
+
+function getFormat(options)
+{
+  const format = options.format ?? 'repeat';
+  if (!FORMATS.includes(format))
+  {
+    throw new RangeError(`Unsupported query format '${format}'`);
+  }
+  return format;
+}
+
+/**
+ * Convert a single value into a string.
+ * 
+ * - `Date` objects use `toISOString()`.
+ * - `null` becomes an empty string.
+ * - Anything else uses `String()` (so booleans are `true` or `false`).
+ * 
+ * @alias module:@lumjs/web-service/query.formatValue
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value)
+{
+  if (value instanceof Date)
+  {
+    return value.toISOString();
+  }
+  if (value === null)
+  {
+    return '';
+  }
+  return String(value);
+}
+
+function addPairs(pairs, key, value, format, convert)
+{
+  if (value === undefined)
+  { // Skipped entirely.
+    return;
+  }
+
+  if (Array.isArray(value))
+  {
+    const items = value.filter(item => item !== undefined);
+
+    if (format === 'comma' && !items.some(isPlain))
+    {
+      pairs.push([key, items.map(item => convert(item)).join(',')]);
+      return;
+    }
+
+    items.forEach((item, index) =>
+    {
+      let itemKey = key;
+      if (format === 'indices' || isPlain(item))
+      { // Objects need an index to keep their properties together.
+        itemKey += '['+index+']';
+      }
+      else if (format === 'brackets')
+      {
+        itemKey += '[]';
+      }
+      addPairs(pairs, itemKey, item, format, convert);
+    });
+  }
+  else if (isPlain(value))
+  {
+    for (const prop in value)
+    {
+      addPairs(pairs, key+'['+prop+']', value[prop], format, convert);
+    }
+  }
+  else
+  {
+    pairs.push([key, convert(value)]);
+  }
+}
+
+/**
+ * Flatten an object into a list of name/value pairs.
+ * 
+ * @alias module:@lumjs/web-service/query.toPairs
+ * 
+ * @param {object} data - The data to flatten.
+ * @param {object} [options] Options.
+ * @param {string} [options.format='repeat'] One of the `FORMATS`.
+ * @param {function} [options.convert] Convert a value for use in a pair.
+ * 
+ * Defaults to `formatValue()`.
+ * 
+ * @returns {Array} An array of `[name, value]` pairs.
+ * @throws {RangeError} If the format is not supported.
+ */
+function toPairs(data, options={})
+{
+  const format = getFormat(options);
+  const convert = options.convert ?? formatValue;
+  const pairs = [];
+
+  for (const key in data)
+  {
+    addPairs(pairs, key, data[key], format, convert);
+  }
+
+  return pairs;
+}
+
+/**
+ * Serialize an object into a `URLSearchParams` instance.
+ * 
+ * @alias module:@lumjs/web-service/query.serialize
+ * 
+ * @param {object} data - The data to serialize.
+ * @param {object} [options] See `toPairs()` for details.
+ * 
+ * @returns {URLSearchParams}
+ */
+function serialize(data, options={})
+{
+  return new URLSearchParams(toPairs(data, options));
+}
+
+/**
+ * Add data to an existing `URLSearchParams` instance.
+ * 
+ * This is what `makeRequest()` uses to add the query data to the URL.
+ * 
+ * - A top-level `null` value deletes any existing parameters with that name.
+ * - A top-level scalar value replaces any existing parameter with that name.
+ * - Arrays and objects are added to any existing parameters.
+ * 
+ * @alias module:@lumjs/web-service/query.append
+ * 
+ * @param {URLSearchParams} params - The parameters to add to.
+ * @param {object} data - The data to add.
+ * @param {object} [options] See `toPairs()` for details.
+ * 
+ * @returns {URLSearchParams} `params`
+ */
+function append(params, data, options={})
+{
+  const format = getFormat(options);
+  const convert = options.convert ?? formatValue;
+
+  for (const key in data)
+  {
+    const value = data[key];
+
+    if (value === null)
+    {
+      params.delete(key);
+    }
+    else if (Array.isArray(value) || isPlain(value))
+    {
+      const pairs = [];
+      addPairs(pairs, key, value, format, convert);
+      for (const [name, val] of pairs)
+      {
+        params.append(name, val);
+      }
+    }
+    else if (value !== undefined)
+    {
+      params.set(key, convert(value));
+    }
+  }
+
+  return params;
+}
+
+// Set a value in the parsed data using the key path.
+// Only own properties are used, so names like `toString` are just data.
+function assign(target, keys, value)
+{
+  const [key, ...rest] = keys;
+  const has = Object.hasOwn(target, key);
+
+  if (UNSAFE_KEYS.includes(key))
+  {
+    return;
+  }
+
+  if (rest.length === 0)
+  {
+    if (key === '' && Array.isArray(target))
+    {
+      target.push(value);
+    }
+    else if (!has)
+    {
+      target[key] = value;
+    }
+    else if (Array.isArray(target[key]))
+    { // A repeated parameter.
+      target[key] = target[key].concat(value);
+    }
+    else
+    {
+      target[key] = [target[key]].concat(value);
+    }
+    return;
+  }
+
+  const next = (rest[0] === '' || INDEX.test(rest[0]))
+    ? []
+    : Object.create(null);
+
+  if (key === '' && Array.isArray(target))
+  {
+    target.push(next);
+    assign(next, rest, value);
+    return;
+  }
+
+  if (!has || !isObj(target[key]))
+  {
+    target[key] = next;
+  }
+
+  assign(target[key], rest, value);
+}
+
+/**
+ * Parse query parameters into an object.
+ * 
+ * This is the inverse of `serialize()`; bracketed names are converted
+ * into nested objects and arrays, and parameters used more than once
+ * become arrays.
+ * 
+ * Values are always strings (the type information is lost when
+ * serializing), so no attempt is made to convert them.
+ * 
+ * @alias module:@lumjs/web-service/query.parse
+ * 
+ * @param {(string|URL|URLSearchParams)} input - The query to parse.
+ * 
+ * If this is a `URL` then its `searchParams` will be used.
+ * 
+ * @param {object} [options] Options.
+ * @param {string} [options.format='repeat'] One of the `FORMATS`.
+ * 
+ * The `comma` format will split every value containing a comma
+ * into an array; all other formats are detected automatically.
+ * 
+ * @returns {object} The parsed data.
+ * 
+ * It and any nested objects have a `null` prototype, so parameter
+ * names such as `toString` can't clash with inherited properties.
+ * @throws {RangeError} If the format is not supported.
+ */
+function parse(input, options={})
+{
+  const format = getFormat(options);
+  const params
+    = (input instanceof URL)
+    ? input.searchParams
+    : (input instanceof URLSearchParams)
+    ? input
+    : new URLSearchParams(typeof input === S ? input : '');
+
+  const data = Object.create(null);
+
+  for (const [name, val] of params)
+  {
+    const matched = KEY_PARTS.exec(name);
+    const keys = matched
+      ? [matched[1], ...Array.from(matched[2].matchAll(BRACKETS), m => m[1])]
+      : [name];
+
+    const value = (format === 'comma' && val.includes(','))
+      ? val.split(',')
+      : val;
+
+    assign(data, keys, value);
+  }
+
+  return data;
+}
+
+module.exports =
+{
+  FORMATS, formatValue, toPairs, serialize, append, parse,
+}
@@ -0,0 +1,361 @@
+/**
+ * A small JSON Schema validator
+ * 
+ * Supports a subset of JSON Schema (draft 2020-12) that covers most
+ * of what is needed to validate web service requests and responses.
+ * 
+ * - Any type: `type`, `enum`, `const`, `$ref` (local only),
+ *   `allOf`, `anyOf`, `oneOf`, `not`, `if`/`then`/`else`.
+ * - Objects: `properties`, `required`, `additionalProperties`,
+ *   `patternProperties`, `minProperties`, `maxProperties`.
+ * - Arrays: `items`, `prefixItems`, `minItems`, `maxItems`, `uniqueItems`.
+ * - Strings: `minLength`, `maxLength`, `pattern`.
+ * - Numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ *   `multipleOf`.
+ * 
+ * Any other keywords (such as `format`) are ignored.
+ * 
+ * If you need full JSON Schema support, use the `validator` option
+ * to plug in a different implementation (such as Ajv).
+ * 
+ * @module @lumjs/web-service/schema
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {S,isObj} = core.types;
+
+function typeOf(value)
+{
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isType(value, type)
+{
+  const actual = typeOf(value);
+  if (type === 'number')
+  {
+    return (actual === 'number' || actual === 'integer');
+  }
+  return (actual === type);
+}
+
+function equal(a, b)
+{
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null) return false;
+  if (Array.isArray(a))
+  {
+    return (Array.isArray(b) && a.length === b.length
+      && a.every((val, i) => equal(val, b[i])));
+  }
+  if (typeof a === 'object' && !Array.isArray(b))
+  {
+    const keys = Object.keys(a);
+    return (keys.length === Object.keys(b).length
+      && keys.every(key => equal(a[key], b[key])));
+  }
+  return false;
+}
+
+/**
+ * Escape a property name for use in a JSON Pointer.
+ * @alias module:@lumjs/web-service/schema.escapePointer
+ * @param {string} key
+ * @returns {string}
+ */
+function escapePointer(key)
+{
+  return String(key).replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+function resolveRef(root, ref)
+{
+  if (!ref.startsWith('#'))
+  {
+    throw new RangeError("Only local $ref values are supported: "+ref);
+  }
+
+  let target = root;
+  for (const part of ref.substring(1).split('/'))
+  {
+    if (part === '') continue;
+    const key = decodeURIComponent(part).replaceAll('~1', '/').replaceAll('~0', '~');
+    target = isObj(target) ? target[key] : undefined;
+  }
+
+  if (target === undefined)
+  {
+    throw new RangeError("Unresolved $ref: "+ref);
+  }
+
+  return target;
+}
+
+// The `refs` are those currently being resolved against the same data,
+// so a `$ref` that leads back to itself can be caught.
+function check(schema, data, path, root, errors, refs=new Set())
+{
+  if (schema === true || schema === undefined) return;
+  if (schema === false)
+  {
+    errors.push({path, message: "No value is allowed here"});
+    return;
+  }
+  if (!isObj(schema)) return;
+
+  const fail = (message) => errors.push({path, message});
+
+  if (typeof schema.$ref === S)
+  {
+    const ref = schema.$ref;
+    if (refs.has(ref))
+    {
+      throw new RangeError("Circular $ref: "+ref);
+    }
+    refs.add(ref);
+    check(resolveRef(root, ref), data, path, root, errors, refs);
+    refs.delete(ref);
+  }
+
+  if (schema.type !== undefined)
+  {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isType(data, type)))
+    {
+      fail(`Expected type ${types.join(' or ')} but got ${typeOf(data)}`);
+      return; // Further checks would be meaningless.
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(val => equal(val, data)))
+  {
+    fail("Value is not one of the allowed values");
+  }
+
+  if (schema.const !== undefined && !equal(schema.const, data))
+  {
+    fail("Value does not match the constant value");
+  }
+
+  if (typeof data === S)
+  {
+    const len = Array.from(data).length;
+    if (schema.minLength !== undefined && len < schema.minLength)
+    {
+      fail(`Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && len > schema.maxLength)
+    {
+      fail(`Must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === S && !(new RegExp(schema.pattern, 'u')).test(data))
+    {
+      fail(`Must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof data === 'number')
+  {
+    if (schema.minimum !== undefined && data < schema.minimum)
+    {
+      fail(`Must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && data > schema.maximum)
+    {
+      fail(`Must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum)
+    {
+      fail(`Must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum)
+    {
+      fail(`Must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined
+      && !Number.isInteger(data / schema.multipleOf))
+    {
+      fail(`Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(data))
+  {
+    if (schema.minItems !== undefined && data.length < schema.minItems)
+    {
+      fail(`Must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems)
+    {
+      fail(`Must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems
+      && data.some((val, i) => data.findIndex(v => equal(v, val)) !== i))
+    {
+      fail("Items must be unique");
+    }
+
+    const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    data.forEach((item, i) =>
+    {
+      const itemSchema = (i < prefix.length) ? prefix[i] : schema.items;
+      check(itemSchema, item, path+'/'+i, root, errors);
+    });
+  }
+  else if (isObj(data))
+  {
+    const keys = Object.keys(data);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties)
+    {
+      fail(`Must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties)
+    {
+      fail(`Must have at most ${schema.maxProperties} properties`);
+    }
+
+    if (Array.isArray(schema.required))
+    {
+      for (const key of schema.required)
+      {
+        if (data[key] === undefined)
+        {
+          errors.push(
+          {
+            path: path+'/'+escapePointer(key),
+            message: "Required property is missing",
+          });
+        }
+      }
+    }
+
+    const props = isObj(schema.properties) ? schema.properties : {};
+    const patterns = isObj(schema.patternProperties)
+      ? schema.patternProperties
+      : {};
+
+    for (const key of keys)
+    {
+      const keyPath = path+'/'+escapePointer(key);
+      let matched = false;
+
+      if (props[key] !== undefined)
+      {
+        matched = true;
+        check(props[key], data[key], keyPath, root, errors);
+      }
+
+      for (const pattern in patterns)
+      {
+        if ((new RegExp(pattern, 'u')).test(key))
+        {
+          matched = true;
+          check(patterns[pattern], data[key], keyPath, root, errors);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined)
+      {
+        if (schema.additionalProperties === false)
+        {
+          errors.push({path: keyPath, message: "Property is not allowed"});
+        }
+        else
+        {
+          check(schema.additionalProperties, data[key], keyPath, root, errors);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf))
+  {
+    for (const sub of schema.allOf)
+    {
+      check(sub, data, path, root, errors, refs);
+    }
+  }
+
+  const passes = (sub) =>
+  {
+    const subErrors = [];
+    check(sub, data, path, root, subErrors, refs);
+    return (subErrors.length === 0);
+  }
+
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(passes))
+  {
+    fail("Must match at least one of the schemas in anyOf");
+  }
+
+  if (Array.isArray(schema.oneOf)
+    && schema.oneOf.filter(passes).length !== 1)
+  {
+    fail("Must match exactly one of the schemas in oneOf");
+  }
+
+  if (schema.not !== undefined && passes(schema.not))
+  {
+    fail("Must not match the schema in not");
+  }
+
+  if (schema.if !== undefined)
+  {
+    const sub = passes(schema.if) ? schema.then : schema.else;
+    check(sub, data, path, root, errors, refs);
+  }
+}
+
+/**
+ * Validate data against a JSON Schema.
+ * 
+ * @alias module:@lumjs/web-service/schema.validate
+ * 
+ * @param {(object|boolean)} schema - The schema to validate against.
+ * @param {*} data - The data to validate.
+ * 
+ * @returns {module:@lumjs/web-service/schema~Failure[]}
+ * A list of validation failures; will be empty if the data is valid.
+ * 
+ * @throws {RangeError} If a `$ref` is not local, cannot be resolved,
+ * or refers back to itself without any data being checked in between.
+ */
+function validate(schema, data)
+{
+  const errors = [];
+  check(schema, data, '', schema, errors);
+  return errors;
+}
+
+module.exports =
+{
+  validate, escapePointer,
+}
+
+/**
+ * A validation failure.
+ * 
+ * @typedef {object} module:@lumjs/web-service/schema~Failure
+ * @prop {string} path - JSON Pointer to the invalid value
+ * (an empty string is the data itself).
+ * @prop {string} message - A description of the problem.
+ */
+
+/**
+ * A function that validates data against a schema.
+ * 
+ * Used by the `validator` option to replace the built-in validator.
+ * 
+ * @callback module:@lumjs/web-service/schema~Validator
+ * @param {object} schema - The schema to validate against.
+ * @param {*} data - The data to validate.
+ * @param {string} target - What is being validated; one of
+ * `vars`, `query`, `body`, or `response`.
+ * @returns {?module:@lumjs/web-service/schema~Failure[]}
+ * A list of failures; empty (or `null`) if the data is valid.
+ */
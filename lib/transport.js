@@ -0,0 +1,278 @@
+/**
+ * Transport adapters
+ * @module @lumjs/web-service/transport
+ */
+"use strict";
+
+const core = require('@lumjs/core');
+const {F} = core.types;
+
+const {supportsRequestStreams} = require('./utils');
+
+const NULL_BODY = [101, 204, 205, 304];
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * The default transport, using the Fetch API.
+ * 
+ * If the MethodCall has a `fetch` option set, that function will be used,
+ * otherwise the global `fetch()` will be used.
+ * 
+ * If the MethodCall has the `uploadProgress` option enabled, and the
+ * request has a body, the body will be sent as a stream of 64 KiB chunks
+ * which triggers `uploadProgress` events on the MethodCall as each chunk
+ * is read by `fetch()`. If streaming request bodies are not supported
+ * (or `fetch()` rejects with a `TypeError` before reading any of the
+ * stream, as some browsers do for HTTP/1.1 servers), the request will be
+ * sent with an `XHRTransport` instead. That fallback is not used with a custom `fetch()` function;
+ * no progress events will be triggered if streams aren't supported,
+ * and any error from the custom function will be thrown as-is.
+ * 
+ * @alias module:@lumjs/web-service/transport.FetchTransport
+ * @implements {module:@lumjs/web-service/transport~Transport}
+ */
+class FetchTransport
+{
+  /**
+   * Build a FetchTransport instance.
+   * 
+   * @param {function} [fetchFn] A `fetch()` compatible function.
+   * 
+   * If specified, this will be used instead of the `fetch` option.
+   */
+  constructor(fetchFn)
+  {
+    this.fetch = (typeof fetchFn === F) ? fetchFn : null;
+  }
+
+  async send(request, methodCall)
+  {
+    let fetchFn = this.fetch;
+
+    if (!fetchFn && methodCall)
+    {
+      fetchFn = methodCall.getOption('fetch');
+    }
+
+    const customFetch = (typeof fetchFn === F);
+    if (!customFetch)
+    {
+      fetchFn = globalThis.fetch;
+    }
+
+    if (methodCall && request.body && methodCall.uploadProgress)
+    {
+      const useXHR = (!customFetch && typeof globalThis.XMLHttpRequest === F);
+
+      if (supportsRequestStreams())
+      {
+        const blob = await request.blob();
+        const state = {pulled: false};
+        try
+        {
+          return await fetchFn(progressRequest(request, blob, methodCall, state));
+        }
+        catch (err)
+        {
+          if (!useXHR || !(err instanceof TypeError) || state.pulled)
+          { // Once the body has been read, it may have been (partly) sent.
+            throw err;
+          }
+          // The streaming body was rejected, so try without one.
+          return XHR.send(new Request(request, {body: blob}), methodCall);
+        }
+      }
+      else if (useXHR)
+      {
+        return XHR.send(request, methodCall);
+      }
+    }
+
+    return fetchFn(request);
+  }
+}
+
+/**
+ * A transport using `XMLHttpRequest`.
+ * 
+ * Mostly useful in browsers for the upload progress events it supports,
+ * which will be triggered as `uploadProgress` events on the MethodCall.
+ * 
+ * As `XMLHttpRequest` does not support streaming request bodies,
+ * the full body will be read into a `Blob` before it is sent.
+ * The response body is also fully read before the `Response` is returned.
+ * 
+ * @alias module:@lumjs/web-service/transport.XHRTransport
+ * @implements {module:@lumjs/web-service/transport~Transport}
+ */
+class XHRTransport
+{
+  async send(request, methodCall)
+  {
+    if (typeof globalThis.XMLHttpRequest !== F)
+    {
+      throw new TypeError("XMLHttpRequest is not available");
+    }
+
+    const body = request.body ? await request.blob() : null;
+    const signal = request.signal;
+
+    return new Promise((resolve, reject) =>
+    {
+      const xhr = new XMLHttpRequest();
+      xhr.open(request.method, request.url, true);
+      xhr.responseType = 'arraybuffer';
+      xhr.withCredentials = (request.credentials === 'include');
+
+      for (const [name, value] of request.headers)
+      {
+        xhr.setRequestHeader(name, value);
+      }
+
+      const onAbort = () => xhr.abort();
+
+      const done = () =>
+      {
+        if (signal)
+        {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+
+      if (methodCall && body)
+      {
+        xhr.upload.addEventListener('progress', (ev) =>
+        {
+          methodCall.trigger('uploadProgress',
+          {
+            loaded: ev.loaded,
+            total:  ev.lengthComputable ? ev.total : null,
+          });
+        });
+      }
+
+      xhr.addEventListener('load', () =>
+      {
+        done();
+        const status = xhr.status;
+        const resBody = NULL_BODY.includes(status) ? null : xhr.response;
+        resolve(new Response(resBody,
+        {
+          status,
+          statusText: xhr.statusText,
+          headers: parseHeaders(xhr.getAllResponseHeaders()),
+        }));
+      });
+
+      xhr.addEventListener('error', () =>
+      {
+        done();
+        reject(new TypeError("Network request failed"));
+      });
+
+      xhr.addEventListener('abort', () =>
+      {
+        done();
+        reject(signal?.reason ?? new DOMException('Aborted', 'AbortError'));
+      });
+
+      if (signal)
+      {
+        if (signal.aborted)
+        {
+          reject(signal.reason);
+          return;
+        }
+        signal.addEventListener('abort', onAbort, {once: true});
+      }
+
+      xhr.send(body);
+    });
+  }
+}
+
+// Used when streaming request bodies aren't supported.
+const XHR = new XHRTransport();
+
+// Build a request which sends the blob in chunks that report progress.
+// Sets `state.pulled` once `fetch()` has started reading the body.
+function progressRequest(request, blob, methodCall, state)
+{
+  const total = blob.size;
+  let loaded = 0;
+
+  // Chunks are only read when the previous one has been consumed.
+  const body = new ReadableStream(
+  {
+    async pull(controller)
+    {
+      state.pulled = true;
+      if (loaded >= total)
+      {
+        controller.close();
+        return;
+      }
+
+      const chunk = blob.slice(loaded, loaded + CHUNK_SIZE);
+      controller.enqueue(new Uint8Array(await chunk.arrayBuffer()));
+      loaded += chunk.size;
+      methodCall.trigger('uploadProgress', {loaded, total});
+    },
+  }, {highWaterMark: 0});
+
+  return new Request(request, {body, duplex: 'half'});
+}
+
+/**
+ * Parse the output of `XMLHttpRequest#getAllResponseHeaders()`.
+ * 
+ * @alias module:@lumjs/web-service/transport.parseHeaders
+ * @param {string} raw - The raw headers string.
+ * @returns {Headers}
+ */
+function parseHeaders(raw)
+{
+  const headers = new Headers();
+
+  for (const line of raw.trim().split(/[\r\n]+/))
+  {
+    const colon = line.indexOf(':');
+    if (colon > 0)
+    {
+      headers.append(line.substring(0, colon).trim(),
+        line.substring(colon+1).trim());
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * The default transport instance used by every MethodCall
+ * that does not have a `transport` option set.
+ * 
+ * @alias module:@lumjs/web-service/transport.DEFAULT
+ * @type {module:@lumjs/web-service/transport.FetchTransport}
+ */
+const DEFAULT = new FetchTransport();
+
+module.exports =
+{
+  FetchTransport, XHRTransport, parseHeaders, DEFAULT,
+}
+
+/**
+ * The interface for transport adapters.
+ * 
+ * @interface module:@lumjs/web-service/transport~Transport
+ */
+
+/**
+ * Send a request.
+ * 
+ * @function module:@lumjs/web-service/transport~Transport#send
+ * @param {Request} request - The request built by `makeRequest()`
+ * (possibly modified by middleware).
+ * @param {module:@lumjs/web-service/methodcall} methodCall - The sender.
+ * @returns {Promise<Response>}
+ */
@@ -0,0 +1,440 @@
+"use strict";
+
+const Placeholder = require('./placeholder');
+
+const EXPRESSION = /\{([+#./;?&]?)([^}]+)\}/g;
+const VARSPEC = /^([\w%.]+)(?::(\d+)|(\*))?$/;
+
+// Only use this rule for paths that use features other rules don't have.
+const DETECT = /\{(?:[+#./;?&]|[^}]*,|[^}]*:\d+\})/;
+
+const REGEX_CHARS = /[.*+?^${}()|[\]\\]/g;
+
+/**
+ * Expansion rules for each of the expression operators (RFC 6570, Appendix A).
+ * @alias module:@lumjs/web-service/uritemplate.OPERATORS
+ */
+const OPERATORS =
+{
+  '':  {first: '',  sep: ',', named: false, ifemp: '',  reserved: false},
+  '+': {first: '',  sep: ',', named: false, ifemp: '',  reserved: true},
+  '#': {first: '#', sep: ',', named: false, ifemp: '',  reserved: true},
+  '.': {first: '.', sep: '.', named: false, ifemp: '',  reserved: false},
+  '/': {first: '/', sep: '/', named: false, ifemp: '',  reserved: false},
+  ';': {first: ';', sep: ';', named: true,  ifemp: '',  reserved: false},
+  '?': {first: '?', sep: '&', named: true,  ifemp: '=', reserved: false},
+  '&': {first: '&', sep: '&', named: true,  ifemp: '=', reserved: false},
+}
+
+// What each operator can match when compiling a route.
+const MATCHERS =
+{
+  '':  '([^/?#]*)',
+  '+': '([^?#]*)',
+  '#': '((?:#.*)?)',
+  '.': '((?:\\.[^/?#.]*)*)',
+  '/': '((?:/[^/?#]*)*)',
+  ';': '((?:;[^/?#;]*)*)',
+  '?': '((?:\\?[^#]*)?)',
+  '&': '((?:&[^#]*)?)',
+}
+
+// Encode a value allowing only unreserved characters.
+function encodeUnreserved(str)
+{
+  return encodeURIComponent(str)
+    .replace(/[!'()*]/g, c => '%'+c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// Encode a value allowing reserved characters and pct-encoded triplets.
+function encodeReserved(str)
+{
+  return encodeURI(str)
+    .replace(/%25([0-9A-Fa-f]{2})/g, '%$1')
+    .replace(/%5B/gi, '[')
+    .replace(/%5D/gi, ']');
+}
+
+function isDefined(value)
+{
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+/**
+ * A placeholder rule for RFC 6570 URI Templates.
+ * 
+ * Supports all Level 3 expressions, as well as the Level 4
+ * prefix (`{var:3}`) and explode (`{var*}`) modifiers.
+ * 
+ * - `{var}`         → Simple string expansion.
+ * - `{+var}`        → Reserved characters are not encoded.
+ * - `{#var}`        → Fragment expansion.
+ * - `{.var}`        → Label expansion with a `.` prefix.
+ * - `{/var,x}`      → Path segments, e.g. `/value/1024`.
+ * - `{;x,y}`        → Path-style parameters, e.g. `;x=1024;y=768`.
+ * - `{?page,limit}` → Query string, e.g. `?page=1&limit=10`.
+ * - `{&x}`          → Query string continuation, e.g. `&x=1024`.
+ * 
+ * Array values are expanded as lists (e.g. `{/segments*}` with the
+ * value `['a','b']` becomes `/a/b`), and object values are expanded
+ * as `name,value` pairs (or `name=value` pairs when exploded).
+ * 
+ * As per the RFC, every variable is optional; any that are `undefined`,
+ * `null`, or empty arrays or objects are simply left out.
+ * 
+ * This rule is used automatically for any path that has expressions
+ * which the other default rules don't support, or can be set explicitly
+ * using `DEFS.PLACEHOLDERS.URI_TEMPLATE` or a new instance.
+ * 
+ * @exports module:@lumjs/web-service/uritemplate
+ * @extends module:@lumjs/web-service/placeholder
+ */
+class UriTemplatePlaceholder extends Placeholder
+{
+  /**
+   * Build a URI Template placeholder rule.
+   * 
+   * @param {object} [options] Options.
+   * 
+   * Only the `types` option from the parent class is supported,
+   * and only for use by `isValid()`, as URI Templates have no syntax
+   * for specifying the type of a variable.
+   */
+  constructor(options={})
+  {
+    super(EXPRESSION, 2, options);
+  }
+
+  /**
+   * Get information about an expression from a pattern match.
+   * 
+   * @param {Array} match - The match (or the arguments passed to a
+   * `replace()` callback function).
+   * 
+   * @returns {module:@lumjs/web-service/uritemplate~Info}
+   * @throws {RangeError} If the expression has invalid syntax.
+   */
+  info(match)
+  {
+    const operator = match[1];
+    const vars = match[2].split(',').map(spec =>
+    {
+      const parsed = VARSPEC.exec(spec.trim());
+      if (!parsed)
+      {
+        throw new RangeError(`Invalid URI Template expression '${match[0]}'`);
+      }
+      return {
+        name:    parsed[1],
+        prefix:  parsed[2] ? parseInt(parsed[2]) : null,
+        explode: !!parsed[3],
+      };
+    });
+
+    return {
+      name:     vars[0].name,
+      type:     null,
+      wildcard: (operator === '/' && vars[0].explode),
+      optional: true,
+      default:  null,
+      operator,
+      vars,
+    };
+  }
+
+  /**
+   * See if a path uses URI Template features.
+   * 
+   * Plain `{var}` and `{var*}` expressions are left for the
+   * `TYPED_BRACES` rule, so only paths using operators, lists of
+   * variables, or prefix modifiers will return `true`.
+   * 
+   * @param {string} path - The path to test.
+   * @returns {boolean}
+   */
+  test(path)
+  {
+    return DETECT.test(path);
+  }
+
+  /**
+   * Expand a single expression.
+   * 
+   * @param {module:@lumjs/web-service/uritemplate~Info} info
+   * @param {object} data - The variable values.
+   * @param {string[]} used - Names of variables used will be added here.
+   * @returns {string}
+   */
+  expandExpression(info, data, used)
+  {
+    const op = OPERATORS[info.operator];
+    const enc = op.reserved ? encodeReserved : encodeUnreserved;
+    const parts = [];
+
+    const named = (name, str) =>
+      (str === '' ? name + op.ifemp : name + '=' + str);
+
+    for (const spec of info.vars)
+    {
+      const value = data[spec.name];
+      if (!isDefined(value)) continue;
+      used.push(spec.name);
+
+      if (Array.isArray(value))
+      {
+        const items = value.map(item => enc(String(item)));
+        if (spec.explode)
+        {
+          parts.push(op.named
+            ? items.map(item => named(spec.name, item)).join(op.sep)
+            : items.join(op.sep));
+        }
+        else
+        {
+          const list = items.join(',');
+          parts.push(op.named ? named(spec.name, list) : list);
+        }
+      }
+      else if (typeof value === 'object')
+      {
+        const pairs = Object.entries(value)
+          .filter(([, val]) => val !== undefined && val !== null)
+          .map(([key, val]) => [enc(key), enc(String(val))]);
+
+        if (spec.explode)
+        {
+          parts.push(pairs.map(([key, val]) =>
+            (op.named ? named(key, val) : key+'='+val)).join(op.sep));
+        }
+        else
+        {
+          const list = pairs.map(pair => pair.join(',')).join(',');
+          parts.push(op.named ? named(spec.name, list) : list);
+        }
+      }
+      else
+      {
+        let str = String(value);
+        if (spec.prefix !== null)
+        {
+          str = Array.from(str).slice(0, spec.prefix).join('');
+        }
+        str = enc(str);
+        parts.push(op.named ? named(spec.name, str) : str);
+      }
+    }
+
+    return (parts.length > 0) ? op.first + parts.join(op.sep) : '';
+  }
+
+  /**
+   * Expand the expressions in a URI Template.
+   * 
+   * @param {string} path - The URI Template.
+   * @param {object} data - The variable values.
+   * @param {boolean} [removeUsed=false] Remove used variables from `data`?
+   * 
+   * @returns {object} A plain object with three properties.
+   * 
+   * - `path` is the expanded path.
+   * - `missing` is always an empty array, as every variable is optional.
+   * - `invalid` is always an empty array, as variables have no types.
+   */
+  expand(path, data, removeUsed=false)
+  {
+    const used = [];
+
+    const expanded = path.replaceAll(this.pattern, (...match) =>
+      this.expandExpression(this.info(match), data, used));
+
+    if (removeUsed)
+    {
+      for (const name of used)
+      {
+        delete data[name];
+      }
+    }
+
+    return {path: expanded, missing: [], invalid: []};
+  }
+
+  /**
+   * Compile a URI Template into a route for matching paths.
+   * 
+   * Each expression has a single capture group in the `regex`.
+   * As the query string is not part of the path, the `?` and `&`
+   * expressions are optional when matching.
+   * 
+   * @param {string} path - The URI Template.
+   * @returns {module:@lumjs/web-service/placeholder~Route}
+   */
+  compile(path)
+  {
+    const params = [], vars = [];
+    let source = '', last = 0;
+
+    for (const match of path.matchAll(this.pattern))
+    {
+      const info = this.info(match);
+      source += path.substring(last, match.index).replace(REGEX_CHARS, '\\$&');
+      source += MATCHERS[info.operator];
+      params.push(...info.vars.map(spec => spec.name));
+      vars.push(info);
+      last = match.index + match[0].length;
+    }
+
+    source += path.substring(last).replace(REGEX_CHARS, '\\$&');
+
+    return {regex: new RegExp('^'+source+'$'), params, vars};
+  }
+
+  /**
+   * Match a path against a URI Template.
+   * 
+   * Values are URL decoded strings, or arrays of strings for
+   * exploded variables. An exploded variable in a `;`, `?`, or `&`
+   * expression which has no values using its own name will be an object
+   * with any of the parameters not claimed by the other variables.
+   * 
+   * @param {(string|module:@lumjs/web-service/placeholder~Route)} template
+   * 
+   * Either a URI Template, or a route returned from `compile()`.
+   * 
+   * @param {string} path - The actual path to match.
+   * 
+   * @returns {?object} The variables from the path,
+   * or `null` if the path did not match.
+   */
+  match(template, path)
+  {
+    const route
+      = (typeof template === 'string')
+      ? this.compile(template)
+      : template;
+
+    const matched = route.regex.exec(path);
+    if (!matched)
+    {
+      return null;
+    }
+
+    const vars = {};
+    route.vars.forEach((info, index) =>
+    {
+      const op = OPERATORS[info.operator];
+      let raw = matched[index+1] ?? '';
+
+      if (op.first !== '' && raw.startsWith(op.first))
+      {
+        raw = raw.substring(op.first.length);
+      }
+
+      if (raw === '') return;
+
+      const items = raw.split(op.sep);
+
+      if (op.named)
+      {
+        matchNamed(info, items, vars);
+      }
+      else
+      {
+        matchList(info, items, vars);
+      }
+    });
+
+    return vars;
+  }
+}
+
+const decode = decodeURIComponent;
+
+// Assign values from an unnamed list (`/a/b` or `a,b`) to variables.
+function matchList(info, items, vars)
+{
+  const specs = info.vars;
+
+  if (specs.length === 1 && !specs[0].explode && items.length > 1)
+  { // A single variable gets the whole (comma separated) value.
+    vars[specs[0].name] = decode(items.join(','));
+    return;
+  }
+
+  specs.forEach((spec, i) =>
+  {
+    if (i >= items.length) return;
+    if (i === specs.length-1 && (spec.explode || items.length > specs.length))
+    { // The last variable takes the remaining items.
+      vars[spec.name] = items.slice(i).map(decode);
+    }
+    else
+    {
+      vars[spec.name] = spec.explode ? [decode(items[i])] : decode(items[i]);
+    }
+  });
+}
+
+// Assign values from `name=value` pairs to variables.
+function matchNamed(info, items, vars)
+{
+  const pairs = items.map(item =>
+  {
+    const eq = item.indexOf('=');
+    return (eq === -1)
+      ? [decode(item), '']
+      : [decode(item.substring(0, eq)), decode(item.substring(eq+1))];
+  });
+
+  const names = info.vars.map(spec => spec.name);
+  let rest = null;
+
+  for (const spec of info.vars)
+  {
+    const values = pairs.filter(([key]) => key === spec.name).map(pair => pair[1]);
+
+    if (values.length === 0)
+    {
+      if (spec.explode && rest === null)
+      { // Exploded objects use the parameter names as keys.
+        rest = {};
+        for (const [key, val] of pairs)
+        {
+          if (!names.includes(key))
+          {
+            rest[key] = val;
+          }
+        }
+        if (Object.keys(rest).length > 0)
+        {
+          vars[spec.name] = rest;
+        }
+      }
+      continue;
+    }
+
+    vars[spec.name] = spec.explode
+      ? values
+      : (values.length === 1 ? values[0] : values);
+  }
+}
+
+UriTemplatePlaceholder.OPERATORS = OPERATORS;
+
+module.exports = UriTemplatePlaceholder;
+
+/**
+ * Information about a URI Template expression.
+ * 
+ * The `name` property is the name of the first variable;
+ * use `vars` for the full list.
+ * 
+ * @typedef {module:@lumjs/web-service/placeholder~Info} module:@lumjs/web-service/uritemplate~Info
+ * @prop {string} operator - The operator (empty string if none).
+ * @prop {object[]} vars - The variables in the expression.
+ * 
+ * Each has a `name` (string), `prefix` (number or `null`),
+ * and `explode` (boolean) property.
+ */
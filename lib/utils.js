@@ -5,12 +5,34 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {S,isObj} = core.types;
+const {F,S,isObj} = core.types;
 
-const {STANDARD_HTTP,TEMPLATE_HTTP} = require('./defs');
+const {STANDARD_HTTP,TEMPLATE_HTTP,MIME} = require('./defs');
+const queryString = require('./query');
 
 const DOCTYPE_HTML = /^<!DOCTYPE html/i;
 
+/**
+ * See if a value is an instance of a global class.
+ * 
+ * Safe to use in environments where the class may not exist at all
+ * (such as `Document` or `Element` in Node.js or Web Workers).
+ * 
+ * @alias module:@lumjs/web-service/utils.isInstance
+ * 
+ * @param {*} value - Value to test.
+ * @param {string} className - Name of the global class.
+ * 
+ * @returns {boolean} Will always be `false` if the class does not exist.
+ */
+function isInstance(value, className)
+{
+  const classFn = globalThis[className];
+  return (typeof classFn === F && value instanceof classFn);
+}
+
+exports.isInstance = isInstance;
+
 /**
  * Try to determine MIME-type based on the type of data.
  * 
@@ -35,6 +57,9 @@ const DOCTYPE_HTML = /^<!DOCTYPE html/i;
  *   - `Element`
  *   - Any other `object` if `jsonObjects` is true.
  * 
+ * Any classes that don't exist in the current environment
+ * (such as the DOM classes in Node.js) are skipped.
+ * 
  * @alias module:@lumjs/web-service/utils.getMimeType
  * 
  * @param {(string|object)} data - Data to determine type of.
@@ -80,36 +105,39 @@ function getMimeType(data, jsonObjects=true)
     err("Invalid data type");
   }
 
-  if (data instanceof URLSearchParams)
+  if (isInstance(data, 'URLSearchParams'))
   {
     return MIME.URL;
   }
 
-  if (data instanceof FormData)
+  if (isInstance(data, 'FormData'))
   {
     return MIME.FORM;
   }
 
-  if ( data instanceof Blob 
-    || data instanceof ReadableStream
+  if ( isInstance(data, 'Blob')
+    || isInstance(data, 'ReadableStream')
+    || data instanceof ArrayBuffer
     || ArrayBuffer.isView(data) )
   {
     return MIME.BIN;
   }
 
-  if (data instanceof XMLDocument)
+  if (isInstance(data, 'XMLDocument'))
   {
     return MIME.XML;
   }
 
-  if (data instanceof Document)
+  if (isInstance(data, 'Document'))
   {
     return MIME.HTML;
   }
 
-  if (data instanceof Element)
+  if (isInstance(data, 'Element'))
   {
-    return (data.ownerDocument instanceof XMLDocument ? MIME.XML : MIME.HTML);
+    return (isInstance(data.ownerDocument, 'XMLDocument') 
+      ? MIME.XML 
+      : MIME.HTML);
   }
 
   if (jsonObjects)
@@ -189,3 +217,387 @@ function defineHTTP(template, rules)
 }
 
 exports.defineHTTP = defineHTTP;
+
+/**
+ * Return a Promise that resolves after a delay.
+ * 
+ * @alias module:@lumjs/web-service/utils.wait
+ * 
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] A signal to cancel the delay.
+ * 
+ * If the signal is aborted, the Promise will reject with `signal.reason`.
+ * 
+ * @returns {Promise} Resolves to `undefined`.
+ */
+function wait(ms, signal)
+{
+  return new Promise((resolve, reject) =>
+  {
+    if (!signal)
+    {
+      setTimeout(resolve, ms);
+      return;
+    }
+
+    if (signal.aborted)
+    {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () =>
+    {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+
+    const timer = setTimeout(() =>
+    {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener('abort', onAbort, {once: true});
+  });
+}
+
+exports.wait = wait;
+
+/**
+ * Parse the value of a `Retry-After` header.
+ * 
+ * @alias module:@lumjs/web-service/utils.parseRetryAfter
+ * 
+ * @param {?string} value - Header value.
+ * 
+ * May be either a number of seconds, or an HTTP date.
+ * 
+ * @returns {?number} Delay in milliseconds, or `null` if the
+ * `value` was not set or could not be parsed.
+ * 
+ * A date in the past will return `0`.
+ */
+function parseRetryAfter(value)
+{
+  if (typeof value !== S || value.trim() === '')
+  {
+    return null;
+  }
+
+  value = value.trim();
+
+  if (/^\d+$/.test(value))
+  { // Number of seconds.
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date))
+  {
+    return null;
+  }
+
+  return Math.max(0, date - Date.now());
+}
+
+exports.parseRetryAfter = parseRetryAfter;
+
+/**
+ * Convert an object into a `FormData` instance.
+ * 
+ * - Nested objects use bracketed names, e.g. `doc[title]`.
+ * - Arrays are added as repeated fields with the same name.
+ * - `Blob` and `File` values are added as files; `File` objects
+ *   use their own `name` as the filename.
+ * - `Date` values are converted using `toISOString()`.
+ * - `undefined` values are skipped.
+ * 
+ * @alias module:@lumjs/web-service/utils.toFormData
+ * 
+ * @param {object} data - The data to convert.
+ * 
+ * If this is already a `FormData` instance it is returned as-is.
+ * 
+ * @returns {FormData}
+ */
+function toFormData(data)
+{
+  if (isInstance(data, 'FormData'))
+  {
+    return data;
+  }
+
+  const convert = (value) =>
+    (isInstance(value, 'Blob') ? value : queryString.formatValue(value));
+
+  const form = new FormData();
+  for (const [name, value] of queryString.toPairs(data, {convert}))
+  {
+    if (isInstance(value, 'File'))
+    {
+      form.append(name, value, value.name);
+    }
+    else
+    {
+      form.append(name, value);
+    }
+  }
+
+  return form;
+}
+
+exports.toFormData = toFormData;
+
+const DISPOSITION_PARAM = /;\s*([\w!#$%&+.^`|~*-]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+const EXT_VALUE = /^([\w!#$%&+^`{}~-]*)'[^']*'(.*)$/;
+
+// Decode an RFC 8187 extended parameter value.
+function decodeExtValue(value)
+{
+  const parsed = EXT_VALUE.exec(value);
+  if (!parsed)
+  {
+    return null;
+  }
+
+  const charset = parsed[1] || 'utf-8';
+  const bytes = [];
+  const raw = parsed[2];
+
+  for (let i = 0; i < raw.length; i++)
+  {
+    if (raw[i] === '%' && /^[0-9A-Fa-f]{2}$/.test(raw.substring(i+1, i+3)))
+    {
+      bytes.push(parseInt(raw.substring(i+1, i+3), 16));
+      i += 2;
+    }
+    else
+    {
+      bytes.push(raw.charCodeAt(i));
+    }
+  }
+
+  try
+  {
+    return new TextDecoder(charset).decode(new Uint8Array(bytes));
+  }
+  catch (err)
+  { // Unsupported charset.
+    return null;
+  }
+}
+
+/**
+ * Parse a `Content-Disposition` header.
+ * 
+ * @alias module:@lumjs/web-service/utils.parseContentDisposition
+ * 
+ * @param {?string} value - Header value.
+ * 
+ * @returns {?object} Will be `null` if the `value` was not set;
+ * otherwise a plain object with three properties.
+ * 
+ * - `type` is the disposition type in lowercase (e.g. `attachment`).
+ * - `filename` is the filename (or `null` if not specified).
+ *   The `filename*` parameter is preferred over `filename` if both
+ *   are set. Any directory names are removed.
+ * - `params` has every parameter, with names in lowercase.
+ */
+function parseContentDisposition(value)
+{
+  if (typeof value !== S || value.trim() === '')
+  {
+    return null;
+  }
+
+  const type = value.split(';', 1)[0].trim().toLowerCase();
+  const params = {};
+
+  for (const [, name, raw] of value.matchAll(DISPOSITION_PARAM))
+  {
+    let val = raw.trim();
+    if (val.startsWith('"'))
+    {
+      val = val.substring(1, val.length-1).replace(/\\(.)/g, '$1');
+    }
+    params[name.toLowerCase()] = val;
+  }
+
+  let filename = null;
+  if (params['filename*'] !== undefined)
+  {
+    filename = decodeExtValue(params['filename*']);
+  }
+  if (filename === null && params.filename !== undefined)
+  {
+    filename = params.filename;
+  }
+  if (filename !== null)
+  { // Never trust paths from the server.
+    filename = filename.split(/[\/\\]/).pop();
+  }
+
+  return {type, filename, params};
+}
+
+exports.parseContentDisposition = parseContentDisposition;
+
+let requestStreams = null;
+
+/**
+ * See if the Fetch API supports streaming request bodies.
+ * 
+ * @alias module:@lumjs/web-service/utils.supportsRequestStreams
+ * 
+ * @returns {boolean} The result is cached after the first call.
+ */
+function supportsRequestStreams()
+{
+  if (requestStreams === null)
+  {
+    let duplexAccessed = false;
+
+    try
+    {
+      const hasContentType = new Request('http://localhost/',
+      {
+        method: 'POST',
+        body: new ReadableStream(),
+        get duplex()
+        {
+          duplexAccessed = true;
+          return 'half';
+        },
+      }).headers.has('Content-Type');
+
+      // Unsupported streams are converted to strings (and get a type).
+      requestStreams = (duplexAccessed && !hasContentType);
+    }
+    catch (err)
+    {
+      requestStreams = false;
+    }
+  }
+
+  return requestStreams;
+}
+
+exports.supportsRequestStreams = supportsRequestStreams;
+
+const MEDIA_TYPE = /^\s*([\w!#$%&'*+.^`|~-]+)\/([\w!#$%&'*+.^`|~-]+)\s*(;.*)?$/;
+const MEDIA_PARAM = /;\s*([\w!#$%&'*+.^`|~-]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+
+/**
+ * Parse a media type, such as the value of a `Content-Type` header.
+ * 
+ * @alias module:@lumjs/web-service/utils.parseMediaType
+ * 
+ * @param {?string} value - The media type.
+ * 
+ * @returns {?module:@lumjs/web-service/utils~MediaType}
+ * Will be `null` if the `value` was not set, or was not a valid media type.
+ */
+function parseMediaType(value)
+{
+  const parsed = (typeof value === S) ? MEDIA_TYPE.exec(value) : null;
+  if (!parsed)
+  {
+    return null;
+  }
+
+  const type = parsed[1].toLowerCase();
+  const subtype = parsed[2].toLowerCase();
+  const plus = subtype.lastIndexOf('+');
+  const suffix = (plus > 0) ? subtype.substring(plus+1) : null;
+  const params = {};
+
+  for (const [, name, raw] of (parsed[3] ?? '').matchAll(MEDIA_PARAM))
+  {
+    let val = raw.trim();
+    if (val.startsWith('"'))
+    {
+      val = val.substring(1, val.length-1).replace(/\\(.)/g, '$1');
+    }
+    params[name.toLowerCase()] = val;
+  }
+
+  return {type, subtype, suffix, essence: type+'/'+subtype, params};
+}
+
+exports.parseMediaType = parseMediaType;
+
+/**
+ * See if a media type matches a pattern.
+ * 
+ * Patterns are case-insensitive, and may use any of these formats:
+ * 
+ * - `type/subtype` → Matches the media type exactly (ignoring parameters).
+ * - `type/*`       → Matches any subtype of the type (e.g. `text/*`).
+ * - `+suffix`      → Matches any media type with the structured syntax
+ *   suffix (e.g. `+json` matches `application/problem+json`).
+ * - `*` or `*\/*`  → Matches any media type.
+ * 
+ * @alias module:@lumjs/web-service/utils.matchMediaType
+ * 
+ * @param {(string|object)} mediaType - The media type to test.
+ * 
+ * May be a `string`, or an object returned by `parseMediaType()`.
+ * 
+ * @param {(string|string[])} pattern - The pattern to match against.
+ * 
+ * If this is an array, the media type may match any of the patterns.
+ * 
+ * @returns {boolean}
+ */
+function matchMediaType(mediaType, pattern)
+{
+  if (typeof mediaType === S)
+  {
+    mediaType = parseMediaType(mediaType);
+  }
+
+  if (!isObj(mediaType))
+  {
+    return false;
+  }
+
+  if (Array.isArray(pattern))
+  {
+    return pattern.some(pat => matchMediaType(mediaType, pat));
+  }
+
+  pattern = String(pattern).trim().toLowerCase();
+
+  if (pattern === '*' || pattern === '*/*')
+  {
+    return true;
+  }
+
+  if (pattern.startsWith('+'))
+  {
+    return (mediaType.suffix === pattern.substring(1));
+  }
+
+  if (pattern.endsWith('/*'))
+  {
+    return (mediaType.type === pattern.substring(0, pattern.length-2));
+  }
+
+  return (mediaType.essence === pattern);
+}
+
+exports.matchMediaType = matchMediaType;
+
+/**
+ * A parsed media type.
+ * 
+ * @typedef {object} module:@lumjs/web-service/utils~MediaType
+ * @prop {string} type - The top-level type in lowercase (e.g. `application`).
+ * @prop {string} subtype - The subtype in lowercase (e.g. `problem+json`).
+ * @prop {?string} suffix - The structured syntax suffix (e.g. `json`);
+ * will be `null` if the subtype doesn't have one.
+ * @prop {string} essence - The `type/subtype` without any parameters.
+ * @prop {object} params - Every parameter, with names in lowercase
+ * (e.g. `{charset: 'utf-8'}`).
+ */
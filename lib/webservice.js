@@ -1,10 +1,14 @@
 "use strict";
 
 const core = require('@lumjs/core');
-const {def,S} = core.types;
+const {def,S,F} = core.types;
 
 const defs = require('./defs');
-const {STANDARD_HTTP} = defs;
+const openapi = require('./openapi');
+const queryString = require('./query');
+const {STANDARD_HTTP,OBSERV_DEFS} = defs;
+
+const ABS_URL = /^[a-z][\w+.-]*:/i;
 
 /**
  * A simple class to represent a web service.
@@ -23,6 +27,18 @@ const {STANDARD_HTTP} = defs;
  * This is compiled from the `STANDARD_HTTP` definitions as well as any
  * custom methods added.
  * 
+ * @prop {Array} _middleware - Webservice-level middleware functions.
+ * 
+ * See {@link module:@lumjs/web-service/methodcall~Middleware}
+ * for details on how middleware functions work.
+ * 
+ * @prop {module:@lumjs/web-service.observable} _events - An observable
+ * object for events triggered on the Webservice itself.
+ * 
+ * Unlike `_on()`, which assigns a handler to every MethodCall, handlers
+ * assigned with `_events.on()` are only called for service-level events,
+ * such as {@link module:@lumjs/web-service/webservice#event:problem problem}.
+ * 
  * @exports module:@lumjs/web-service/webservice
  */
 class Webservice 
@@ -58,15 +74,30 @@ class Webservice
    * These will be merged with the `STANDARD_HTTP` rules and assigned
    * to `this._httpMethods` for use by `MethodCall` instances.
    * 
+   * @param {Array} [options.middleware] Initial middleware functions.
+   * 
+   * A copy of this will be assigned to `this._middleware`.
+   * 
    * @see {@link module:@lumjs/web-service/builder}
    */
   constructor(options={})
   {
     this._methodCalls = {};
+    this._listeners = [];
+    this._cacheAdapter = null;
+    this._routes = null;
     this._options = options;
     this._httpMethods = Object.assign({}, 
       STANDARD_HTTP,
       options.httpMethods);
+    this._middleware = Array.isArray(options.middleware)
+      ? options.middleware.slice()
+      : [];
+
+    this._events = {};
+    const oo = Object.assign({}, OBSERV_DEFS, options.observable);
+    const ro = options.observableRedefine ?? options.eventRegistry;
+    core.observable(this._events, oo, ro);
 
     if (typeof options.id === S)
     { // An explicit id option was specified.
@@ -94,7 +125,9 @@ class Webservice
    * then `this.listDocs` will be added as an _async method_ that calls
    * `methodCall.send(...arguments)`, returning the `Promise` from it.
    * Additionally, `this.listDocs.on` will be added as a wrapper method
-   * that calls `methodCall.on(...arguments)`, returning the `methodCall`.
+   * that calls `methodCall.on(...arguments)`, returning the `methodCall`,
+   * and `this.listDocs.download` will be added as a wrapper method that
+   * calls `methodCall.download(...arguments)`.
    * 
    * This is generally called by a `Builder` instance rather than directly.
    * 
@@ -121,6 +154,14 @@ class Webservice
     // Add a reference to the actual object instance.
     this._methodCalls[methodCall.name] = methodCall;
 
+    // The routes used by _match() will need to be sorted again.
+    this._routes = null;
+
+    for (const listener of this._listeners)
+    { // Apply any service-wide event handlers.
+      methodCall.on(listener.name, listener.handler);
+    }
+
     if (this[methodCall.name] !== undefined)
     {
       console.debug("Reserved name", {methodCall});
@@ -136,8 +177,207 @@ class Webservice
     // And a shortcut to the `on()` method.
     def(this[methodCall.name], 'on', () => 
       methodCall.on(...arguments));
+
+    // And one for the `download()` method.
+    def(this[methodCall.name], 'download', (...args) =>
+      methodCall.download(...args));
+  }
+
+  /**
+   * Add a Webservice-level middleware function.
+   * 
+   * Webservice-level middleware is run before any MethodCall-level
+   * middleware, in the order it was added.
+   * 
+   * @param {module:@lumjs/web-service/methodcall~Middleware} fn
+   * @returns {object} `this`
+   * @throws {TypeError} If `fn` is not a function.
+   */
+  _use(fn)
+  {
+    if (typeof fn !== F)
+    {
+      throw new TypeError("Middleware must be a function");
+    }
+    this._middleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Abort every outstanding request sent by this service.
+   * 
+   * Calls `abortAll()` on every `MethodCall` in this service.
+   * 
+   * @param {*} [reason] The abort reason.
+   * @returns {object} `this`
+   */
+  _abortAll(reason)
+  {
+    for (const mname in this._methodCalls)
+    {
+      this._methodCalls[mname].abortAll(reason);
+    }
+    return this;
+  }
+
+  /**
+   * Find the `MethodCall` that a URL would have been sent to.
+   * 
+   * This is essentially the inverse of `MethodCall#parseURL()`,
+   * and may be used for client-side routing, or in mock servers.
+   * 
+   * The path templates of every method call are compiled the first time
+   * this is called, and are tested with the most specific templates first:
+   * those with fewer wildcard variables, then fewer placeholder variables.
+   * Method calls with the same specificity are tested in the order
+   * they were added.
+   * 
+   * @param {(string|URL)} url - The URL to match.
+   * 
+   * If this is a fully-qualified URL, and a method call has a fully-qualified
+   * `basePath`, then the origin of the URL must match as well.
+   * Otherwise only the path is used.
+   * 
+   * @param {string} [method] The HTTP method; if not specified,
+   * method calls using any HTTP method may match.
+   * 
+   * @returns {?object} If a match was found, an object with three properties:
+   * 
+   * - `methodCall` is the `MethodCall` that matched.
+   * - `vars` are the placeholder variables extracted from the path.
+   * - `query` are the query string parameters, parsed using the
+   *   `queryFormat` of the method call (see `query.parse()`).
+   * 
+   * Will be `null` if no method calls matched.
+   */
+  _match(url, method)
+  {
+    const absolute = (url instanceof URL) || ABS_URL.test(url);
+    if (!absolute)
+    { // The origin doesn't matter, but URL needs one.
+      url = new URL(url, 'http://localhost');
+    }
+    else if (!(url instanceof URL))
+    {
+      url = new URL(url);
+    }
+
+    if (typeof method === S)
+    {
+      method = method.toUpperCase();
+    }
+
+    if (this._routes === null)
+    {
+      this._routes = sortRoutes(Object.values(this._methodCalls));
+    }
+
+    for (const methodCall of this._routes)
+    {
+      if (method && methodCall.http !== method) continue;
+
+      const origin = methodCall.compileRoute().origin;
+      if (absolute && origin && origin.toLowerCase() !== url.origin) continue;
+
+      const vars = methodCall.matchPath(url.pathname);
+      if (vars)
+      {
+        const query = queryString.parse(url, {format: methodCall.queryFormat});
+        return {methodCall, vars, query};
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an OpenAPI 3.x document describing this service.
+   * 
+   * @param {object} [options] Options for `openapi.exportSpec()`.
+   * @returns {object} The OpenAPI document (as a JSON object).
+   * @see {@link module:@lumjs/web-service/openapi.exportSpec}
+   */
+  _toOpenAPI(options)
+  {
+    return openapi.exportSpec(this, options);
+  }
+
+  /**
+   * Assign an event handler to every `MethodCall` in this service.
+   * 
+   * The handler will be assigned to all existing method calls,
+   * as well as any added later (e.g. by extending the service).
+   * 
+   * This is the easiest way to centralize handling of events such as
+   * {@link module:@lumjs/web-service/methodcall#error error}.
+   * 
+   * @param {string} name - Event name.
+   * @param {function} handler - Event handler.
+   * @returns {object} `this`
+   */
+  _on(name, handler)
+  {
+    this._listeners.push({name, handler});
+    for (const mname in this._methodCalls)
+    {
+      this._methodCalls[mname].on(name, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Remove an event handler assigned with `_on()`.
+   * 
+   * @param {string} name - Event name.
+   * @param {function} handler - Event handler to remove.
+   * @returns {object} `this`
+   */
+  _off(name, handler)
+  {
+    this._listeners = this._listeners.filter(listener => 
+      !(listener.name === name && listener.handler === handler));
+    for (const mname in this._methodCalls)
+    {
+      this._methodCalls[mname].off(name, handler);
+    }
+    return this;
+  }
+
+  /**
+   * A MethodCall in this service received a problem details response.
+   * 
+   * Triggered on the `_events` object after the `problem` event
+   * on the MethodCall itself.
+   * 
+   * @event module:@lumjs/web-service/webservice#problem
+   * @type {module:@lumjs/web-service/errors.ProblemError}
+   * 
+   * The `methodName` property of the error is the name of the MethodCall.
+   */
+
+}
+
+// Sort method calls by how specific their path templates are.
+function sortRoutes(methodCalls)
+{
+  const weights = new Map();
+
+  for (const methodCall of methodCalls)
+  {
+    const {route} = methodCall.compileRoute();
+    const vars = route ? route.vars : [];
+    weights.set(methodCall,
+    [
+      vars.filter(info => info.wildcard).length,
+      vars.length,
+    ]);
   }
 
+  return methodCalls.sort((a, b) =>
+  {
+    const wa = weights.get(a), wb = weights.get(b);
+    return (wa[0] - wb[0]) || (wa[1] - wb[1]);
+  });
 }
 
 module.exports = Webservice;